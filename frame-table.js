@@ -0,0 +1,56 @@
+// Frame table: which cells of the spritesheet hold a sprite
+// Shared by script.js (runtime fallback) and tools/build-frame-table.js (build step).
+// Works on raw RGBA pixel data, so it runs the same in the browser and in Node.
+
+// Check if a frame is blank: every pixel fully transparent, whatever its RGB values
+// (a frame filled with one opaque color is drawn, so it counts as content)
+// pixels: RGBA bytes of the whole image, imageWidth: its width in pixels
+function isFrameBlank(pixels, imageWidth, x, y, width, height) {
+    for (let row = y; row < y + height; row++) {
+        for (let col = x; col < x + width; col++) {
+            if (pixels[(row * imageWidth + col) * 4 + 3] !== 0) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+// Find the non-blank frames of a spritesheet laid out as a grid of spriteWidth x spriteHeight cells
+// Frame indexes count left to right, top to bottom (index = row * maxFramesPerRow + col)
+function buildFrameTable(pixels, imageWidth, imageHeight, spriteWidth, spriteHeight) {
+    const maxFramesPerRow = Math.floor(imageWidth / spriteWidth);
+    const rows = Math.floor(imageHeight / spriteHeight);
+    const framesByRow = {};
+    const frameToRowCol = {};
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < maxFramesPerRow; col++) {
+            if (isFrameBlank(pixels, imageWidth, col * spriteWidth, row * spriteHeight, spriteWidth, spriteHeight)) {
+                continue;
+            }
+
+            const frameIndex = row * maxFramesPerRow + col;
+            frameToRowCol[frameIndex] = { row, col };
+            if (!framesByRow[row]) {
+                framesByRow[row] = [];
+            }
+            framesByRow[row].push(frameIndex);
+        }
+    }
+
+    return {
+        imageWidth,
+        imageHeight,
+        spriteWidth,
+        spriteHeight,
+        maxFramesPerRow,
+        framesByRow,
+        frameToRowCol
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { isFrameBlank, buildFrameTable };
+}
@@ -1,158 +1,675 @@
 // Canvas setup
+// Layout happens in CSS pixels (viewWidth x viewHeight); the canvas itself is sized in
+// device pixels and its context scaled by canvasPixelRatio (see resizeCanvas)
 const canvas = document.getElementById('spriteCanvas');
 const ctx = canvas.getContext('2d');
 ctx.imageSmoothingEnabled = false;
+let viewWidth = 0;
+let viewHeight = 0;
+let canvasPixelRatio = 1; // Device pixels per CSS pixel of the canvas
 
 // Sprite sheet configuration
-// MANUALLY SET THESE VALUES based on your spritesheet:
+// MANUALLY SET THESE VALUES based on your spritesheets (see SPRITE_SHEETS below):
 // - How many pixels wide is each character sprite?
 // - How many pixels tall is each character sprite?
 // - How many sprites are in a row (if arranged in a grid)?
-let spriteSheet = null;
-let spriteSheetLoaded = false;
-let SPRITE_WIDTH = 64;   // MANUAL: Width of each sprite in pixels
-let SPRITE_HEIGHT = 64;  // MANUAL: Height of each sprite in pixels
-let FRAMES_PER_ROW = 5;  // MANUAL: Number of sprites per row (if grid layout)
+const FRAMES_PER_ROW = 5;  // MANUAL: Number of sprites per row (if grid layout)
 const FRAME_CHANGE_INTERVAL = 750; // Default frame change interval (overridden per character)
-const SCALE = 1.75; // Scale factor for display
+const SCALE = 1.75; // Scale factor for display (rounded to whole device pixels per sprite pixel)
 const CHARACTER_SPAWN_INTERVAL = 25000; // Spawn new character every 20 seconds
 
+// Character placement
+const SCROLL_BAR_HEIGHT = 60; // Characters stay below the scroll bar
+const FREE_SPACE_CELL_SIZE = 128; // Grid cell size for collision lookups (px)
+const FREE_SPACE_RANDOM_ATTEMPTS = 30; // Random spots tried before searching every free spot
+
+// Audio-reactive animation (characters change frame on detected beats)
+const BEAT_THRESHOLD = 1.35; // Bass energy must jump this much above its recent average to count as a beat
+const MIN_BEAT_INTERVAL = 250; // Ignore beats closer together than this (ms)
+const QUIET_FALLBACK_DELAY = 2000; // Without beats for this long, fall back to timed frame changes (ms)
+const ANALYSIS_POLL_INTERVAL = 250; // While there are no beats, listen for them this often (ms)
+const ENERGY_HISTORY_DURATION = 1000; // Beats are compared with the average bass energy over this long (ms)
+const ROW_INTENSITY_SPREAD = 0.25; // Rows picked around the loudness position (fraction of all rows)
+
+// Resume where you left off (saved in localStorage while playing)
+const SESSION_STORAGE_KEY = 'souSegundoLugar.session';
+const SESSION_SAVE_INTERVAL = 5000; // Save at most every 5 seconds while playing
+
+// Playback modes, cycled with the mode button in the message box
+const PLAYBACK_MODES = [
+    { id: 'normal', text: 'once', label: 'play album once' },
+    { id: 'repeat-album', text: 'repeat', label: 'repeat album' },
+    { id: 'repeat-track', text: 'repeat 1', label: 'repeat song' },
+    { id: 'shuffle', text: 'shuffle', label: 'shuffle' },
+    { id: 'stop-after-track', text: 'stop after', label: 'stop after each song' }
+];
+const PLAYBACK_MODE_STORAGE_KEY = 'souSegundoLugar.playbackMode';
+
+// Calm mode (reduced motion): follows the system's prefers-reduced-motion setting
+// unless switched with the calm button or the m key
+const REDUCED_MOTION_STORAGE_KEY = 'souSegundoLugar.reducedMotion'; // 'on' / 'off' while the choice differs from the system's
+const REDUCED_MOTION_FRAME_SLOWDOWN = 4; // Frames change this many times slower (and ignore beats)
+const REDUCED_MOTION_SPAWN_SLOWDOWN = 3; // New characters arrive this many times less often
+const CHARACTER_FADE_DURATION = 1000; // Characters fade in and out over this long in calm mode (ms)
+
+// Keyboard shortcuts (listed in the help overlay, opened with ?)
+// keys are KeyboardEvent.key values (letters lowercase)
+const SHORTCUT_SEEK_SECONDS = 10;
+const KEYBOARD_SHORTCUTS = [
+    { keys: [' ', 'k'], label: 'space / k', description: 'play / pause', action: () => handleMessageBoxClick() },
+    { keys: ['n'], label: 'n', description: 'next song', action: () => skipToNextSong() },
+    { keys: ['p'], label: 'p', description: 'previous song', action: () => skipToPreviousSong() },
+    { keys: ['ArrowRight'], label: '→', description: `forward ${SHORTCUT_SEEK_SECONDS} seconds`, action: () => seekBy(SHORTCUT_SEEK_SECONDS) },
+    { keys: ['ArrowLeft'], label: '←', description: `back ${SHORTCUT_SEEK_SECONDS} seconds`, action: () => seekBy(-SHORTCUT_SEEK_SECONDS) },
+    { keys: ['1', '2', '3', '4', '5', '6', '7', '8', '9'], label: '1-9', description: 'play song 1-9', action: (event) => jumpToSong(Number(event.key) - 1) },
+    { keys: ['l'], label: 'l', description: 'open / close the song list (↑ ↓ to pick, enter to play)', action: () => toggleSongList(true) },
+    { keys: ['m'], label: 'm', description: 'calm mode on / off (less motion)', action: () => toggleReducedMotion() },
+    { keys: ['?'], label: '?', description: 'show / hide these shortcuts', action: () => toggleShortcutHelp() },
+    { keys: ['Escape'], label: 'esc', description: 'close the song list or this help', action: () => closeOverlays() }
+];
+
+// Album files
+const ALBUM_DIRECTORY = 'album/';
+const ALBUM_MANIFEST = 'album/album.json'; // Album manifest (songs.txt is used if missing)
+const MASTER_FILENAME = 'album/masters.mp3'; // Used by tracks with a time range ("title 1:18-4:20")
+const GUESS_LYRICS_FILES = false; // Tracks without a declared lyrics file look for <name>.lrc next to their audio
+
 // Center character position adjustment (in pixels)
 const CENTER_CHARACTER_OFFSET_X = -41; // Adjust horizontal position (positive = right, negative = left)
 const CENTER_CHARACTER_OFFSET_Y = 41; // Adjust vertical position (positive = down, negative = up)
 
+// Sprite sheets characters are drawn from, each with its own sprite size
+// - image: the spritesheet
+// - atlas: Aseprite/TexturePacker JSON describing its frames (optional)
+// - frameTable: frames precomputed by tools/build-frame-table.js (optional)
+// - width/height: MANUAL: size of each sprite in pixels (ignored when there's an atlas)
+// - behaviour: how its characters move (see CHARACTER_BEHAVIOURS, defaults to 'still')
+// - walkRows: rows (or atlas animations) shown while walking in each direction (see DEFAULT_WALK_ROWS)
+// - reactionRow: row (or atlas animation) played once when a character is clicked while its song plays (see DEFAULT_REACTION_ROW)
+// Without an atlas, the precomputed frame table is used, then a scan of the spritesheet's pixels
+const SPRITE_SHEETS = {
+    default: {
+        image: 'character-spritesheet.png',
+        frameTable: 'character-spritesheet.frames.json',
+        width: 64,
+        height: 64,
+        behaviour: 'wander'
+    }
+};
+const DEFAULT_SPRITE_SHEET = 'default'; // Used for the center character and as the last-resort cast
+
+// Casts: the sprite sheets new characters are picked from while a track plays
+// Tracks choose one with "cast" in album.json or "[cast]" at the end of their songs.txt line;
+// tracks without one use the default cast
+const CASTS = {
+    default: ['default']
+};
+
+// Character behaviours: whether characters walk between free spots and how
+// - speed: walking speed in pixels per second
+// - idleMin/idleMax: how long they stay (and dance) after arriving (ms)
+// - walkFrameInterval: frame change interval while walking (ms)
+const CHARACTER_BEHAVIOURS = {
+    still: { moves: false },
+    wander: { moves: true, speed: 45, idleMin: 6000, idleMax: 15000, walkFrameInterval: 110 },
+    restless: { moves: true, speed: 80, idleMin: 1500, idleMax: 4000, walkFrameInterval: 80 }
+};
+const MAX_MOVE_STEP = 100; // Longest time step applied to movement (ms), e.g. after a stall
+
+// Named still frames, as { animation, frame } (frame = index within the animation)
+// Without an atlas, animations are spritesheet row numbers
+const DEFAULT_IDLE_POSES = {
+    'center-desktop': { animation: 31, frame: 2 },
+    'center-mobile': { animation: 20, frame: 5 }
+};
+
+// Walk cycle for each direction, used by sheets without their own walkRows
+// Atlases name them 'walk-up', 'walk-left', 'walk-down' and 'walk-right'; plain spritesheets
+// follow the LPC character layout, with the walk cycle on rows 8-11
+const DEFAULT_WALK_ROWS = { up: 8, left: 9, down: 10, right: 11 };
+
+// Reaction played when a character is clicked, used by sheets without their own reactionRow
+// Atlases name it 'reaction'; in the LPC layout row 2 raises the arms, facing the viewer
+const DEFAULT_REACTION_ROW = 2;
+
 // Global data
-let framesByRow = {}; // Store frames grouped by row
-let validRows = []; // Store all valid row indices
-let frameToRowCol = {}; // Map frame index to {row, col} for variable frames per row
-let maxFramesPerRow = FRAMES_PER_ROW || 5; // Maximum frames in any row (default to FRAMES_PER_ROW)
+let spriteSheets = {}; // Sheet name -> SpriteSheet (see SPRITE_SHEETS)
+
+// A spritesheet and the table of its frames
+// Frames come from the sheet's atlas, its precomputed frame table or a scan of its pixels
+// (in that order). Rows are spritesheet rows, or animation names when using an atlas.
+class SpriteSheet {
+    constructor(name, config) {
+        this.name = name;
+        this.imageUrl = config.image;
+        this.atlasUrl = config.atlas || null;
+        this.frameTableUrl = config.frameTable || null;
+        this.spriteWidth = config.width;
+        this.spriteHeight = config.height;
+        this.image = null;
+        this.loaded = false;
+        this.framesByRow = {}; // Store frames grouped by row (or by animation name when using an atlas)
+        this.validRows = []; // Store all valid row indices (or animation names)
+        this.frameToRowCol = {}; // Map frame index to {row, col} for variable frames per row
+        this.maxFramesPerRow = FRAMES_PER_ROW || 5; // Maximum frames in any row (default to FRAMES_PER_ROW)
+        this.frameRects = {}; // Map frame index to its { x, y, w, h } in the spritesheet (atlas only)
+        this.frameDurations = {}; // Map frame index to how long it's shown in ms (atlas only)
+        this.idlePoses = { ...DEFAULT_IDLE_POSES };
+        this.behaviour = CHARACTER_BEHAVIOURS[config.behaviour] || CHARACTER_BEHAVIOURS.still;
+        this.walkRowOverrides = config.walkRows || {};
+        this.walkRows = { ...DEFAULT_WALK_ROWS, ...this.walkRowOverrides }; // Direction ('up', 'down', 'left', 'right') -> row
+        this.reactionRowOverride = config.reactionRow !== undefined ? config.reactionRow : null;
+        this.reactionRow = this.reactionRowOverride !== null ? this.reactionRowOverride : DEFAULT_REACTION_ROW;
+        if (config.behaviour && !CHARACTER_BEHAVIOURS[config.behaviour]) {
+            console.error(`Unknown behaviour "${config.behaviour}" for sprite sheet ${name}, using "still"`);
+        }
+    }
+    
+    // Load the image and find its frames (resolves to false if the sheet can't be used)
+    async load() {
+        // Fetch the atlas and frame table while the image loads
+        const atlasPromise = loadOptionalJson(this.atlasUrl);
+        const frameTablePromise = loadOptionalJson(this.frameTableUrl);
+        
+        try {
+            this.image = await loadImage(this.imageUrl);
+        } catch (error) {
+            console.error(`Failed to load sprite sheet. Make sure ${this.imageUrl} exists.`);
+            return false;
+        }
+        
+        const atlas = await atlasPromise;
+        if (!atlas || !this.applyAtlas(atlas)) {
+            const frameTable = await frameTablePromise;
+            if (!frameTable || !this.applyFrameTable(frameTable)) {
+                this.detectValidFrames();
+            }
+        }
+        
+        if (this.validRows.length === 0) {
+            console.error(`No valid frames found in ${this.imageUrl}`);
+            return false;
+        }
+        this.loaded = true;
+        return true;
+    }
+    
+    // Convert frame index to row and column, accounting for variable frames per row
+    frameIndexToRowCol(frameIndex) {
+        // If we have the mapping, use it
+        if (this.frameToRowCol[frameIndex]) {
+            return this.frameToRowCol[frameIndex];
+        }
+        
+        // Fallback: calculate using max frames per row
+        const row = Math.floor(frameIndex / this.maxFramesPerRow);
+        const col = frameIndex % this.maxFramesPerRow;
+        return { row, col };
+    }
+    
+    // Source rectangle of a frame in the spritesheet
+    getFrameRect(frameIndex) {
+        if (this.frameRects[frameIndex]) {
+            return this.frameRects[frameIndex];
+        }
+        
+        const { row, col } = this.frameIndexToRowCol(frameIndex);
+        return { x: col * this.spriteWidth, y: row * this.spriteHeight, w: this.spriteWidth, h: this.spriteHeight };
+    }
+    
+    // Frame index of a named idle pose
+    getIdlePoseFrame(poseName) {
+        const pose = this.idlePoses[poseName] || DEFAULT_IDLE_POSES[poseName];
+        const frames = this.framesByRow[pose.animation];
+        if (frames && frames.length > pose.frame) {
+            return frames[pose.frame];
+        }
+        
+        // Fallback: use max frames per row calculation (or the first frame for unknown animation names)
+        if (typeof pose.animation === 'number') {
+            return pose.animation * this.maxFramesPerRow + pose.frame;
+        }
+        return this.validRows.length > 0 ? this.framesByRow[this.validRows[0]][0] : 0;
+    }
+    
+    // Build the frame tables from an Aseprite/TexturePacker-style atlas:
+    // - frames: array (or object keyed by name) of { frame: { x, y, w, h }, duration }
+    // - meta.frameTags: [{ name, from, to, direction }] animations (frames grouped by
+    //   their y position into rows when there are no tags)
+    // - meta.idlePoses: { name: { animation, frame } } (optional)
+    // - walk-up/walk-left/walk-down/walk-right tags: walk cycles (optional, see DEFAULT_WALK_ROWS)
+    // - reaction tag: played when a character is clicked (optional, see DEFAULT_REACTION_ROW)
+    // Returns false if the atlas has no usable frames
+    applyAtlas(atlas) {
+        const frameList = Array.isArray(atlas.frames) ? atlas.frames : Object.values(atlas.frames || {});
+        const meta = atlas.meta || {};
+        
+        this.frameRects = {};
+        this.frameDurations = {};
+        this.framesByRow = {};
+        this.frameToRowCol = {};
+        
+        frameList.forEach((entry, index) => {
+            const rect = entry && entry.frame;
+            if (!rect || !(rect.w > 0) || !(rect.h > 0)) return;
+            this.frameRects[index] = { x: rect.x, y: rect.y, w: rect.w, h: rect.h };
+            if (entry.duration > 0) {
+                this.frameDurations[index] = entry.duration;
+            }
+        });
+        
+        const frameIndexes = Object.keys(this.frameRects).map(Number);
+        if (frameIndexes.length === 0) {
+            console.error(`${this.atlasUrl} has no usable frames`);
+            return false;
+        }
+        
+        // Characters are drawn at the size of the first frame
+        this.spriteWidth = this.frameRects[frameIndexes[0]].w;
+        this.spriteHeight = this.frameRects[frameIndexes[0]].h;
+        
+        if (Array.isArray(meta.frameTags) && meta.frameTags.length > 0) {
+            for (let tag of meta.frameTags) {
+                const frames = [];
+                for (let i = tag.from; i <= tag.to; i++) {
+                    if (this.frameRects[i]) frames.push(i);
+                }
+                if (frames.length === 0) continue;
+                
+                if (tag.direction === 'reverse') {
+                    frames.reverse();
+                } else if (tag.direction === 'pingpong') {
+                    frames.push(...frames.slice(1, -1).reverse());
+                }
+                this.framesByRow[tag.name] = frames;
+            }
+        } else {
+            // No tags: every row of frames (same y) is an animation
+            for (let index of frameIndexes) {
+                const row = Math.round(this.frameRects[index].y / this.spriteHeight);
+                if (!this.framesByRow[row]) {
+                    this.framesByRow[row] = [];
+                }
+                this.framesByRow[row].push(index);
+            }
+        }
+        
+        this.validRows = Object.keys(this.framesByRow);
+        this.idlePoses = { ...DEFAULT_IDLE_POSES, ...(meta.idlePoses || {}) };
+        
+        // Walk and reaction animations by name ('walk-up', ..., 'reaction'), unless the sheet's config picks them
+        const atlasWalkRows = {};
+        for (let direction of Object.keys(DEFAULT_WALK_ROWS)) {
+            if (this.framesByRow[`walk-${direction}`]) {
+                atlasWalkRows[direction] = `walk-${direction}`;
+            }
+        }
+        this.walkRows = { ...DEFAULT_WALK_ROWS, ...atlasWalkRows, ...this.walkRowOverrides };
+        if (this.reactionRowOverride === null) {
+            this.reactionRow = this.framesByRow.reaction ? 'reaction' : DEFAULT_REACTION_ROW;
+        }
+        return this.validRows.length > 0;
+    }
+    
+    // Use a frame table ({ framesByRow, frameToRowCol, maxFramesPerRow, ... } from buildFrameTable)
+    // Returns false if it doesn't match the loaded image (e.g. the image changed since it was built)
+    applyFrameTable(table) {
+        if (table.imageWidth !== this.image.width || table.imageHeight !== this.image.height ||
+            table.spriteWidth !== this.spriteWidth || table.spriteHeight !== this.spriteHeight) {
+            return false;
+        }
+        
+        this.maxFramesPerRow = table.maxFramesPerRow;
+        this.framesByRow = table.framesByRow;
+        this.frameToRowCol = table.frameToRowCol;
+        
+        // Get all rows that have valid frames
+        this.validRows = Object.keys(this.framesByRow).map(Number);
+        return this.validRows.length > 0;
+    }
+    
+    // Detect valid (non-blank) frames by scanning the spritesheet's pixels and group by row
+    detectValidFrames() {
+        // Read the whole sheet once
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = this.image.width;
+        tempCanvas.height = this.image.height;
+        const tempCtx = tempCanvas.getContext('2d');
+        tempCtx.drawImage(this.image, 0, 0);
+        const imageData = tempCtx.getImageData(0, 0, this.image.width, this.image.height);
+        
+        const table = buildFrameTable(imageData.data, this.image.width, this.image.height, this.spriteWidth, this.spriteHeight);
+        this.applyFrameTable(table);
+    }
+}
 
 // Character class
+// Characters are drawn from their own sprite sheet, so they keep it when the cast changes
 class Character {
-    constructor(x, y, isCenterCharacter = false) {
+    constructor(x, y, sheet, isCenterCharacter = false) {
         this.x = x;
         this.y = y;
-        this.width = SPRITE_WIDTH * SCALE;
-        this.height = SPRITE_HEIGHT * SCALE;
+        this.sheet = sheet;
+        this.updateSize();
         this.validFrames = [];
         this.currentFrameIndex = 0;
         this.currentFrame = 0;
         this.rowRepeatCount = 0;
         this.currentRowRepeatTarget = 0;
-        this.lastFrameTime = Date.now();
+        this.row = null; // Row of this character's sheet currently being animated
+        this.lastFrameTime = animationClock.now();
         this.frameChangeInterval = Math.random() * (1000 - 500) + 500;
+        this.beatsPerFrame = Math.random() < 0.5 ? 1 : 2; // Some characters move every beat, some every other beat
+        this.beatCount = 0;
         this.isCenterCharacter = isCenterCharacter;
-        this.initialFrameStartTime = null; // Will be set when play is pressed
-        this.initialFrameDuration = 10000; // 10 seconds in milliseconds
+        this.initialFrameStartTime = null; // Will be set when play is pressed (animation clock time)
+        this.initialFrameDuration = 10000; // 10 seconds of play in milliseconds
+        this.behaviour = isCenterCharacter ? CHARACTER_BEHAVIOURS.still : sheet.behaviour;
+        this.target = null; // Spot being walked to ({ x, y }), null while idle
+        this.idleUntil = animationClock.now() + this.randomIdleTime();
+        this.lastMoveTime = null;
+        this.fade = null; // Calm mode fade ({ start, fadingIn, realTime }, see startFade), null when fully shown
+        this.songIndex = null; // Song that was playing when the character spawned (null for the center character)
         
         if (isCenterCharacter) {
-            // Check if mobile
-            const isMobile = window.innerWidth <= 768 || /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-            
-            if (isMobile) {
-                // Mobile: Set to frame from row 20 (0-indexed: row 19)
-                // Find the frame in that row at the specified index
-                const targetRow = 20; // Row 20 in 1-indexed = row 19 in 0-indexed
-                const frameIndexInRow = 5; // Frame index within that row
-                if (framesByRow[targetRow] && framesByRow[targetRow].length > frameIndexInRow) {
-                    this.currentFrame = framesByRow[targetRow][frameIndexInRow];
-                } else {
-                    // Fallback: use max frames per row calculation
-                    this.currentFrame = targetRow * maxFramesPerRow + frameIndexInRow;
-                }
-            } else {
-                // Desktop: Set to frame from row 32 (0-indexed: row 31)
-                // Find the frame in that row at the specified index
-                const targetRow = 31; // Row 32 in 1-indexed = row 31 in 0-indexed
-                const frameIndexInRow = 2; // Frame index within that row
-                if (framesByRow[targetRow] && framesByRow[targetRow].length > frameIndexInRow) {
-                    this.currentFrame = framesByRow[targetRow][frameIndexInRow];
-                } else {
-                    // Fallback: use max frames per row calculation
-                    this.currentFrame = targetRow * maxFramesPerRow + frameIndexInRow;
-                }
-            }
-            this.validFrames = [this.currentFrame]; // Just this one frame for now
+            this.holdIdlePose();
         } else {
             this.selectRandomRow();
         }
     }
     
+    // Go back to the named idle pose for this layout (see DEFAULT_IDLE_POSES / atlas idlePoses)
+    // until the initial frame timer runs out again
+    holdIdlePose() {
+        // Check if mobile
+        const isMobile = window.innerWidth <= 768 || /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        
+        this.row = null;
+        this.currentFrame = this.sheet.getIdlePoseFrame(isMobile ? 'center-mobile' : 'center-desktop');
+        this.validFrames = [this.currentFrame]; // Just this one frame for now
+        this.currentFrameIndex = 0;
+        this.initialFrameStartTime = null;
+    }
+    
     // Start the initial frame timer (called when play is pressed)
     startInitialFrameTimer() {
         if (this.isCenterCharacter && this.initialFrameStartTime === null) {
-            this.initialFrameStartTime = Date.now();
+            this.initialFrameStartTime = animationClock.now();
         }
     }
     
+    // The center character holds its idle pose until initialFrameDuration of play has passed
+    isHoldingPose() {
+        return this.isCenterCharacter && this.row === null;
+    }
+    
     selectRandomRow() {
-        if (validRows.length === 0) return;
+        const rows = this.sheet.validRows;
+        if (rows.length === 0) return;
         
-        // Choose a random row
-        const randomRow = validRows[Math.floor(Math.random() * validRows.length)];
-        this.validFrames = [...framesByRow[randomRow]]; // Copy the array
+        // Choose a random row (following the music's loudness when it's being analysed)
+        const randomRow = audioAnalysis && audioAnalysis.active
+            ? pickRowForIntensity(rows, audioAnalysis.level)
+            : rows[Math.floor(Math.random() * rows.length)];
+        this.setRow(randomRow);
+    }
+    
+    // Animate a specific row, starting at the given frame within it
+    setRow(row, frameIndex = 0) {
+        if (!this.sheet.framesByRow[row]) return;
         
-        // Sort frames in the row to ensure sequential order
-        this.validFrames.sort((a, b) => a - b);
+        this.row = row;
+        // Copy the array (frames are already in play order: sorted by the scan, or as tagged in the atlas)
+        this.validFrames = [...this.sheet.framesByRow[row]];
         
         // Set repeat target to number of frames in this row
         this.currentRowRepeatTarget = this.validFrames.length;
         this.rowRepeatCount = 0;
         
-        // Reset to first frame
-        this.currentFrameIndex = 0;
-        this.currentFrame = this.validFrames[0];
+        // Start at the requested frame (first frame by default)
+        this.currentFrameIndex = frameIndex < this.validFrames.length ? frameIndex : 0;
+        this.currentFrame = this.validFrames[this.currentFrameIndex];
     }
     
+    // Returns true if the character changed (frame or position) and needs redrawing
     update() {
-        // Center character always stays in initial frame and never animates
-        if (this.isCenterCharacter) {
-            return; // Don't animate, keep initial frame forever
+        const now = animationClock.now();
+        
+        // Center character stays in its initial frame, then joins the dancing (but never walks)
+        if (this.isHoldingPose()) {
+            if (this.initialFrameStartTime === null || now < this.initialFrameStartTime + this.initialFrameDuration) {
+                return false;
+            }
+            this.lastFrameTime = now;
+            this.selectRandomRow();
+            return true;
         }
         
-        const now = Date.now();
-        if (now - this.lastFrameTime >= this.frameChangeInterval) {
+        // Walking characters show their walk cycle instead of dancing (nobody walks in calm mode)
+        if (this.behaviour.moves && !reducedMotion) {
+            const frameBefore = this.currentFrame;
+            const walking = this.updateMovement(now);
+            if (walking) {
+                if (now - this.lastFrameTime >= this.behaviour.walkFrameInterval) {
+                    this.lastFrameTime = now;
+                    this.advanceFrame();
+                }
+                return true;
+            }
+            // Arriving picks a new row to dance to
+            if (this.currentFrame !== frameBefore) return true;
+        }
+        
+        // Follow the music: change frame on detected beats (calm mode keeps to the slow timed animation)
+        if (audioAnalysis && audioAnalysis.active && !reducedMotion) {
+            if (audioAnalysis.beat) {
+                this.beatCount++;
+                if (this.beatCount >= this.beatsPerFrame) {
+                    this.beatCount = 0;
+                    this.lastFrameTime = now;
+                    this.advanceFrame();
+                    return true;
+                }
+            }
+            return false;
+        }
+        
+        // Atlas animations set their own frame durations
+        if (now >= this.nextFrameTime()) {
             this.lastFrameTime = now;
+            this.advanceFrame();
+            return true;
+        }
+        return false;
+    }
+    
+    // When the timed animation next changes this character (frame change or setting off to walk),
+    // in animation clock time
+    nextFrameTime() {
+        if (this.isHoldingPose()) {
+            return this.initialFrameStartTime === null ? Infinity : this.initialFrameStartTime + this.initialFrameDuration;
+        }
+        
+        const frameDuration = this.sheet.frameDurations[this.currentFrame] || this.frameChangeInterval;
+        if (reducedMotion) {
+            return this.lastFrameTime + frameDuration * REDUCED_MOTION_FRAME_SLOWDOWN;
+        }
+        const frameTime = this.lastFrameTime + frameDuration;
+        return this.behaviour.moves && !this.target ? Math.min(frameTime, this.idleUntil) : frameTime;
+    }
+    
+    isWalking() {
+        return this.target !== null;
+    }
+    
+    advanceFrame() {
+        if (this.validFrames.length === 0) return;
+        
+        // Move to next frame sequentially
+        this.currentFrameIndex = (this.currentFrameIndex + 1) % this.validFrames.length;
+        this.currentFrame = this.validFrames[this.currentFrameIndex];
+        
+        // If we've completed a full cycle of the row
+        if (this.currentFrameIndex === 0) {
+            this.rowRepeatCount++;
             
-            if (this.validFrames.length === 0) return;
-            
-            // Move to next frame sequentially
-            this.currentFrameIndex = (this.currentFrameIndex + 1) % this.validFrames.length;
-            this.currentFrame = this.validFrames[this.currentFrameIndex];
-            
-            // If we've completed a full cycle of the row
-            if (this.currentFrameIndex === 0) {
-                this.rowRepeatCount++;
-                
-                // If we've repeated the row the target number of times, select a new random row
-                if (this.rowRepeatCount >= this.currentRowRepeatTarget) {
-                    this.selectRandomRow();
-                }
+            // If we've repeated the row the target number of times, select a new random row
+            // (walk cycles keep going until the character arrives)
+            if (this.rowRepeatCount >= this.currentRowRepeatTarget && !this.target) {
+                this.selectRandomRow();
+            }
+        }
+    }
+    
+    // Size on screen, a whole number of device pixels per sprite pixel
+    updateSize() {
+        const scale = getSpriteScale();
+        this.width = this.sheet.spriteWidth * scale;
+        this.height = this.sheet.spriteHeight * scale;
+    }
+    
+    randomIdleTime() {
+        const { idleMin = 0, idleMax = 0 } = this.behaviour;
+        return idleMin + Math.random() * (idleMax - idleMin);
+    }
+    
+    // Walk towards the target, or pick a new one once the idle time is over
+    // Returns true while walking
+    updateMovement(now) {
+        const step = this.lastMoveTime === null ? 0 : Math.min(now - this.lastMoveTime, MAX_MOVE_STEP);
+        this.lastMoveTime = now;
+        
+        if (!this.target) {
+            if (now < this.idleUntil) return false;
+            this.target = findRandomPosition(this.width, this.height, this);
+            if (!this.target) {
+                // Nowhere free to go: stay put a while longer
+                this.idleUntil = now + this.randomIdleTime();
+                return false;
             }
         }
+        
+        const dx = this.target.x - this.x;
+        const dy = this.target.y - this.y;
+        const distance = Math.hypot(dx, dy);
+        const stepLength = this.behaviour.speed * step / 1000;
+        
+        // Face the main direction of travel
+        const direction = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up');
+        const walkRow = this.sheet.walkRows[direction];
+        if (walkRow !== undefined && walkRow !== this.row && this.sheet.framesByRow[walkRow]) {
+            this.setRow(walkRow);
+        }
+        
+        const nextX = distance <= stepLength ? this.target.x : this.x + dx / distance * stepLength;
+        const nextY = distance <= stepLength ? this.target.y : this.y + dy / distance * stepLength;
+        
+        // Someone moved into the way: head somewhere else, or stop if there's nowhere to go
+        if (hasCollision(nextX, nextY, this.width, this.height, this) ||
+            hasUICollision(nextX, nextY, this.width, this.height)) {
+            this.target = findRandomPosition(this.width, this.height, this);
+            if (!this.target) {
+                this.arrive(now);
+                return false;
+            }
+            return true;
+        }
+        
+        this.x = nextX;
+        this.y = nextY;
+        if (nextX === this.target.x && nextY === this.target.y) {
+            this.arrive(now);
+            syncCharacterMirror(); // Its button moves to its new place in reading order
+            return false;
+        }
+        return true;
+    }
+    
+    // Play the sheet's reaction row once (stopping where it is), then dance on as usual
+    react() {
+        const now = animationClock.now();
+        this.target = null;
+        this.idleUntil = now + this.randomIdleTime();
+        this.lastFrameTime = now;
+        
+        if (this.sheet.reactionRow !== null && this.sheet.framesByRow[this.sheet.reactionRow]) {
+            this.setRow(this.sheet.reactionRow);
+            this.currentRowRepeatTarget = 1;
+        } else {
+            this.selectRandomRow();
+        }
+    }
+    
+    // Stop walking and idle (dance) for a while
+    arrive(now) {
+        this.target = null;
+        this.idleUntil = now + this.randomIdleTime();
+        this.selectRandomRow();
+    }
+    
+    // Fade in (new characters) or out (removed characters) over CHARACTER_FADE_DURATION
+    // Fades follow the animation clock, so they pause with everything else; fades started
+    // while it's stopped (characters removed after the album ends) run in page time instead
+    startFade(fadingIn) {
+        const realTime = !animationClock.running;
+        this.fade = { start: realTime ? performance.now() : animationClock.now(), fadingIn, realTime };
+    }
+    
+    isFading() {
+        return this.fade !== null;
+    }
+    
+    // Whether the fade moves on by itself (a stopped or manually driven clock holds it still)
+    isFadeRunning() {
+        return this.fade !== null && (this.fade.realTime || (animationClock.running && !animationClock.manual));
+    }
+    
+    // How far the fade has got (0-1, 1 when not fading)
+    getFadeProgress() {
+        if (!this.fade) return 1;
+        const now = this.fade.realTime ? performance.now() : animationClock.now();
+        return Math.min(1, Math.max(0, (now - this.fade.start) / CHARACTER_FADE_DURATION));
+    }
+    
+    getOpacity() {
+        if (!this.fade) return 1;
+        const progress = this.getFadeProgress();
+        return this.fade.fadingIn ? progress : 1 - progress;
+    }
+    
+    // Whether the character is drawn (the center character is hidden on mobile)
+    isVisible() {
+        const isMobile = window.innerWidth <= 768 || /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        return !(this.isCenterCharacter && isMobile);
     }
     
     draw() {
-        if (!spriteSheetLoaded || !spriteSheet || this.validFrames.length === 0) return;
+        if (!this.sheet.loaded || this.validFrames.length === 0) return;
         
         // Don't draw center character on mobile
-        const isMobile = window.innerWidth <= 768 || /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        if (this.isCenterCharacter && isMobile) {
+        if (!this.isVisible()) {
             return;
         }
         
-        // Calculate source position in spritesheet using frame mapping
-        const { row, col } = frameIndexToRowCol(this.currentFrame);
-        
-        const sourceX = col * SPRITE_WIDTH;
-        const sourceY = row * SPRITE_HEIGHT;
+        // Calculate source rectangle in spritesheet using frame mapping
+        const source = this.sheet.getFrameRect(this.currentFrame);
         
-        // Draw the sprite frame at this character's position
+        // Draw the sprite frame at this character's position (on a device pixel, so it stays crisp)
+        ctx.globalAlpha = this.getOpacity();
         ctx.drawImage(
-            spriteSheet,
-            sourceX, sourceY, SPRITE_WIDTH, SPRITE_HEIGHT, // Source rectangle
-            this.x, this.y, this.width, this.height         // Destination rectangle
+            this.sheet.image,
+            source.x, source.y, source.w, source.h,      // Source rectangle
+            snapToDevicePixel(this.x), snapToDevicePixel(this.y), this.width, this.height // Destination rectangle
         );
+        ctx.globalAlpha = 1;
+        
+        // Keyboard focus (via the character's mirror button), drawn inside the bounds
+        if (this === focusedCharacter) {
+            const bounds = this.getDrawBounds();
+            ctx.strokeStyle = '#000';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(bounds.x + 1, bounds.y + 1, bounds.width - 2, bounds.height - 2);
+        }
     }
     
     getBounds() {
@@ -163,15 +680,436 @@ class Character {
             height: this.height
         };
     }
+    
+    // Area the character covers when drawn (snapped to device pixels, see draw)
+    getDrawBounds() {
+        return {
+            x: snapToDevicePixel(this.x),
+            y: snapToDevicePixel(this.y),
+            width: this.width,
+            height: this.height
+        };
+    }
+}
+
+// Animation clock: milliseconds of play time, shared by all character animation and spawning
+// It only runs while the game is playing and the page is visible, so pausing freezes
+// everything where it is. setManual(true) stops it following real time; advance(ms) then
+// moves it by hand (for reproducible tests and recordings).
+// Events: 'advance' (after a manual advance)
+class AnimationClock extends EventTarget {
+    constructor() {
+        super();
+        this.time = 0; // Play time when last stopped (or manually advanced)
+        this.startedAt = null; // Date.now() when it last started running, null while stopped
+        this.manual = false;
+    }
+    
+    now() {
+        if (this.startedAt === null || this.manual) return this.time;
+        return this.time + (Date.now() - this.startedAt);
+    }
+    
+    get running() {
+        return this.startedAt !== null;
+    }
+    
+    start() {
+        if (this.running) return;
+        this.startedAt = Date.now();
+    }
+    
+    stop() {
+        if (!this.running) return;
+        this.time = this.now();
+        this.startedAt = null;
+    }
+    
+    setManual(manual) {
+        this.time = this.now();
+        if (this.running) {
+            this.startedAt = Date.now();
+        }
+        this.manual = manual;
+    }
+    
+    advance(ms) {
+        if (!this.manual) return;
+        this.time += ms;
+        this.dispatchEvent(new Event('advance'));
+    }
+}
+
+// Beat and loudness detection on the playback engine's AnalyserNode
+// update() runs once per animation frame; beat is true on frames where an onset
+// (a jump in bass energy) was detected, level is the smoothed loudness (0-1)
+// active is true while beats keep coming; after QUIET_FALLBACK_DELAY without one
+// (silence, or no signal at all) characters go back to timed animation
+class AudioAnalysis {
+    constructor(analyser) {
+        this.analyser = analyser;
+        this.analyser.fftSize = 1024;
+        this.analyser.smoothingTimeConstant = 0;
+        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        // Bins below ~200 Hz carry the kick/bass
+        const binWidth = this.analyser.context.sampleRate / this.analyser.fftSize;
+        this.bassBins = Math.max(1, Math.ceil(200 / binWidth));
+        this.energyHistory = []; // Recent bass energy samples ({ time, energy }), ENERGY_HISTORY_DURATION of them
+        this.peakLoudness = 0.01; // Slowly decaying peak, so level adapts to the track's volume
+        this.active = false;
+        this.beat = false;
+        this.level = 0;
+        this.lastBeatTime = -Infinity; // Animation clock time of the last beat
+    }
+
+    update(now) {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+
+        let bassEnergy = 0;
+        let totalEnergy = 0;
+        for (let i = 0; i < this.frequencyData.length; i++) {
+            const value = this.frequencyData[i] / 255;
+            totalEnergy += value;
+            if (i < this.bassBins) {
+                bassEnergy += value * value;
+            }
+        }
+        bassEnergy /= this.bassBins;
+        const loudness = totalEnergy / this.frequencyData.length;
+
+        // Forget old samples by time, so the average covers the same stretch of music
+        // whether it's sampled every frame or polled every ANALYSIS_POLL_INTERVAL
+        this.energyHistory = this.energyHistory.filter(sample => now - sample.time < ENERGY_HISTORY_DURATION);
+
+        // Beat: bass energy well above its recent average (and not too soon after the last one)
+        const averageEnergy = this.energyHistory.length > 0
+            ? this.energyHistory.reduce((sum, sample) => sum + sample.energy, 0) / this.energyHistory.length
+            : Infinity;
+        this.beat = bassEnergy > averageEnergy * BEAT_THRESHOLD &&
+            bassEnergy > 0.05 &&
+            now - this.lastBeatTime >= MIN_BEAT_INTERVAL;
+        if (this.beat) {
+            this.lastBeatTime = now;
+        }
+
+        this.active = now - this.lastBeatTime < QUIET_FALLBACK_DELAY;
+        
+        this.energyHistory.push({ time: now, energy: bassEnergy });
+
+        this.peakLoudness = Math.max(loudness, this.peakLoudness * 0.999, 0.01);
+        this.level = this.level * 0.9 + (loudness / this.peakLoudness) * 0.1;
+    }
+}
+
+// Pick one of a sheet's rows for the current loudness: quiet music picks rows near
+// the top of the spritesheet, loud music rows near the bottom
+function pickRowForIntensity(rows, level) {
+    const center = Math.round(Math.min(Math.max(level, 0), 1) * (rows.length - 1));
+    const spread = Math.max(1, Math.round(rows.length * ROW_INTENSITY_SPREAD));
+    const from = Math.max(0, center - spread);
+    const to = Math.min(rows.length - 1, center + spread);
+    return rows[from + Math.floor(Math.random() * (to - from + 1))];
+}
+
+// Gapless playback engine
+// Decodes tracks with the Web Audio API and schedules each one to start exactly
+// when the previous one ends. Pausing suspends the AudioContext, so the context
+// clock doubles as the album clock. Only the files of the current and next
+// tracks are kept decoded in memory.
+// Tracks are { filename, start, end }: start/end (seconds) mark a chapter inside
+// a longer file; end = null plays the file to its end.
+// Tracks that fail to load are marked unavailable and skipped.
+// Tracks follow this.order; loop ('none', 'album' or 'track') and stopAfterTrack
+// decide what comes after each one (see setPlaybackRules).
+// Events: 'trackchange' ({ index }), 'durationchange' ({ index, duration }),
+// 'trackerror' ({ index, error })
+class GaplessPlayer extends EventTarget {
+    constructor(tracks) {
+        super();
+        this.tracks = tracks;
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.context = new AudioContextClass();
+        this.context.suspend(); // Nothing plays until play() is called
+        this.output = this.context.createGain();
+        this.analyser = this.context.createAnalyser(); // Read by AudioAnalysis for audio-reactive animation
+        this.output.connect(this.analyser);
+        this.analyser.connect(this.context.destination);
+        this.buffers = new Map(); // Filename -> Promise<AudioBuffer>
+        this.scheduled = []; // Queued sources: { index, source, startAt, offset, endAt }
+        this.index = 0; // Track currently playing (or waiting to play)
+        this.offset = 0; // Position in the current track while nothing is scheduled
+        this.paused = true;
+        this.generation = 0; // Bumped on every seek so stale decodes are ignored
+        this.unavailable = new Set(); // Indexes of tracks that can't be played
+        this.order = tracks.map((track, index) => index); // Play order of track indexes
+        this.loop = 'none'; // 'none', 'album' (wrap around) or 'track' (repeat current)
+        this.stopAfterTrack = false; // Stop when the current track ends
+    }
+
+    get volume() {
+        return this.output.gain.value;
+    }
+
+    set volume(value) {
+        this.output.gain.value = value;
+    }
+
+    // Index of the track at the current clock position
+    get currentIndex() {
+        this.update();
+        return this.index;
+    }
+
+    // Position within the current track (in seconds)
+    get currentTime() {
+        this.update();
+        const entry = this.scheduled[0];
+        if (!entry || entry.index !== this.index) {
+            return this.offset;
+        }
+        const played = Math.max(0, this.context.currentTime - entry.startAt);
+        return Math.min(entry.offset + played, entry.offset + (entry.endAt - entry.startAt));
+    }
+
+    // Fetch and decode an audio file (cached, shared by chapters of the same file)
+    loadFile(filename) {
+        if (!this.buffers.has(filename)) {
+            const promise = fetch(filename)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(data => this.context.decodeAudioData(data));
+            this.buffers.set(filename, promise);
+            // Let a failed file be retried later
+            promise.catch(() => this.buffers.delete(filename));
+        }
+        return this.buffers.get(filename);
+    }
+
+    // Decode the file behind a track
+    load(index) {
+        return this.loadFile(this.tracks[index].filename).then(buffer => {
+            // Report the exact decoded duration so the album timeline matches the clock
+            const { start, end } = this.getTrackBounds(index, buffer);
+            this.dispatchEvent(new CustomEvent('durationchange', {
+                detail: { index, duration: end - start }
+            }));
+            return buffer;
+        });
+    }
+
+    // Start/end of a track within its decoded file (in seconds)
+    getTrackBounds(index, buffer) {
+        const track = this.tracks[index];
+        const start = Math.min(track.start || 0, buffer.duration);
+        const end = track.end === null || track.end === undefined
+            ? buffer.duration
+            : Math.min(Math.max(track.end, start), buffer.duration);
+        return { start, end };
+    }
+
+    // Flag a track as unplayable so sequential playback skips it
+    markUnavailable(index) {
+        this.unavailable.add(index);
+    }
+
+    // Playable track that follows the given one (-1 if playback should stop there)
+    // followRules = false ignores loop/stopAfterTrack and just walks the play order
+    findNextPlayable(index, followRules = true) {
+        if (followRules && this.stopAfterTrack) return -1;
+        if (followRules && this.loop === 'track' && !this.unavailable.has(index)) return index;
+
+        const position = this.order.indexOf(index);
+        const wrap = followRules && this.loop === 'album';
+        for (let step = 1; step <= this.order.length; step++) {
+            if (position + step >= this.order.length && !wrap) break;
+            const candidate = this.order[(position + step) % this.order.length];
+            if (!this.unavailable.has(candidate)) {
+                return candidate;
+            }
+        }
+        return -1;
+    }
+
+    // Change the play order and what happens when a track ends,
+    // re-queueing whatever was lined up after the current track
+    setPlaybackRules({ order, loop, stopAfterTrack }) {
+        this.order = order;
+        this.loop = loop;
+        this.stopAfterTrack = stopAfterTrack;
+
+        if (this.scheduled.length === 0) {
+            // Current track is still loading: start over with the new rules
+            if (this.generation > 0) {
+                this.seek(this.index, this.offset);
+            }
+            return;
+        }
+
+        this.generation++; // Drop a next track that's still decoding
+        for (let entry of this.scheduled.splice(1)) {
+            entry.source.onended = null;
+            entry.source.stop();
+        }
+        this.scheduleNext();
+    }
+
+    // Jump to a position in a track, dropping anything already scheduled
+    seek(index, offset = 0) {
+        if (index < 0 || index >= this.tracks.length) return;
+
+        // Unavailable tracks can't be sought into: start the next playable one instead
+        if (this.unavailable.has(index)) {
+            const next = this.findNextPlayable(index, false);
+            if (next === -1) return;
+            index = next;
+            offset = 0;
+        }
+
+        for (let entry of this.scheduled) {
+            entry.source.onended = null;
+            entry.source.stop();
+        }
+        this.scheduled = [];
+        this.generation++;
+        this.offset = offset;
+        this.setIndex(index);
+        this.schedule(index, offset, null);
+    }
+
+    play() {
+        this.paused = false;
+        return this.context.resume();
+    }
+
+    pause() {
+        this.paused = true;
+        return this.context.suspend();
+    }
+
+    // Queue a track to start at a given context time (null = as soon as it is decoded)
+    schedule(index, offset, startAt) {
+        const generation = this.generation;
+        this.load(index)
+            .then(buffer => {
+                if (generation !== this.generation) return; // A seek happened meanwhile
+
+                const { start, end } = this.getTrackBounds(index, buffer);
+                const length = Math.max(0, end - start - offset);
+                const when = Math.max(startAt === null ? 0 : startAt, this.context.currentTime);
+                const source = this.context.createBufferSource();
+                source.buffer = buffer;
+                source.connect(this.output);
+                source.onended = () => this.update();
+                source.start(when, start + offset, length);
+
+                this.scheduled.push({
+                    index,
+                    source,
+                    startAt: when,
+                    offset,
+                    endAt: when + length
+                });
+
+                // As soon as a track is playing, get the following one ready
+                if (this.scheduled.length === 1) {
+                    this.setIndex(index);
+                    this.scheduleNext();
+                }
+            })
+            .catch(error => {
+                if (generation !== this.generation) return;
+
+                console.error(`Error decoding ${this.tracks[index].filename}:`, error);
+                this.markUnavailable(index);
+                this.dispatchEvent(new CustomEvent('trackerror', { detail: { index, error } }));
+
+                // Keep the album going with the next playable track in the same slot
+                const next = this.findNextPlayable(index, false);
+                if (next !== -1) {
+                    this.schedule(next, 0, startAt);
+                } else if (this.scheduled.length === 0) {
+                    // Nothing left to play
+                    this.offset = 0;
+                    this.pause();
+                }
+            });
+    }
+
+    // Decode the next playable track after the last queued one and schedule it back-to-back
+    scheduleNext() {
+        const last = this.scheduled[this.scheduled.length - 1];
+        if (!last || this.scheduled.length > 1) return;
+        const next = this.findNextPlayable(last.index);
+        if (next === -1) return;
+        this.schedule(next, 0, last.endAt);
+    }
+
+    // Advance past tracks whose end time has been reached on the context clock
+    update() {
+        const now = this.context.currentTime;
+        while (this.scheduled.length > 0 && now >= this.scheduled[0].endAt) {
+            const finished = this.scheduled.shift();
+
+            if (this.scheduled.length > 0) {
+                // Next track already started right on time
+                this.setIndex(this.scheduled[0].index);
+                this.scheduleNext();
+            } else if (this.findNextPlayable(finished.index) !== -1) {
+                // Next track is still decoding: it starts as soon as it's ready
+                this.offset = 0;
+                this.setIndex(this.findNextPlayable(finished.index));
+            } else {
+                // Whole album finished - hold the clock at the very end
+                this.offset = finished.offset + (finished.endAt - finished.startAt);
+                this.pause();
+            }
+        }
+    }
+
+    setIndex(index) {
+        if (index === this.index) return;
+        this.index = index;
+
+        // Free decoded audio we no longer need
+        const keep = [index, this.findNextPlayable(index)]
+            .filter(i => i !== -1)
+            .map(i => this.tracks[i].filename);
+        for (let filename of this.buffers.keys()) {
+            if (!keep.includes(filename)) {
+                this.buffers.delete(filename);
+            }
+        }
+
+        this.dispatchEvent(new CustomEvent('trackchange', { detail: { index } }));
+    }
 }
 
 // Characters array
 let characters = [];
-let spawnTimer = null;
+const animationClock = new AnimationClock();
+let nextSpawnTime = null; // Animation clock time of the next character spawn, null when not spawning
+let deferredCharacters = []; // Characters that didn't fit after a resize (see relayoutCharacters)
+let uiRects = null; // Cached UI areas characters stay out of (see getUIRects)
+let renderLoopStarted = false;
+let renderFrameRequest = null; // Pending requestAnimationFrame id
+let renderWakeTimer = null; // Pending timeout for the next timed frame change
+let fullRedrawNeeded = true;
+let dirtyRects = []; // Canvas areas to clear and redraw on the next frame
 let gameStarted = false;
 let centerCharacter = null;
 let backgroundAudio = null;
-let songs = []; // Array of song objects: { title, filename }
+let audioAnalysis = null; // Beat/loudness detection (null when Web Audio analysis isn't available)
+let songs = []; // Array of song objects: { title, filename, start, end, duration, lyrics, credits, cast, available } (start/end only for chapters)
+let albumInfo = { // Album details shown on the page and in media controls (overridden by album.json)
+    title: 'sou segundo lugar',
+    artist: 'guilherme lopes',
+    displayArtist: 'gui',
+    artwork: []
+};
 let currentSongIndex = 0; // Index of currently playing song
 let songTimer = null;
 let elapsedTime = 0; // Time elapsed since play was pressed (in seconds)
@@ -180,118 +1118,84 @@ let hasEverStarted = false; // Track if game has ever been started
 let displayedSongs = new Set(); // Track which songs have been added to the scroll
 let audioDuration = 0; // Total duration of all songs combined (calculated dynamically)
 let songListVisible = false; // Track if song list is visible
+let songListOrderKey = ''; // Play order the song list items are laid out in (see updateSongList)
+let songListStateKey = ''; // Album state the song list last showed (see updateSongListProgress)
+let songListReturnFocus = null; // Element focused before the song list opened (see closeSongList)
+let shortcutHelpReturnFocus = null; // Element focused before the shortcut help opened (see toggleShortcutHelp)
+let focusedCharacter = null; // Character whose mirror button has keyboard focus (see syncCharacterMirror)
+let tooltipCharacter = null; // Character whose song tooltip is showing (see showCharacterTooltip)
 let lastCurrentSong = null; // Track the last current song to detect changes
 let songDurations = []; // Store duration of each song
-let cumulativeTimes = []; // Cumulative start time for each song
-
-// Convert frame index to row and column, accounting for variable frames per row
-function frameIndexToRowCol(frameIndex) {
-    // If we have the mapping, use it
-    if (frameToRowCol[frameIndex]) {
-        return frameToRowCol[frameIndex];
-    }
-    
-    // Fallback: calculate using max frames per row
-    const row = Math.floor(frameIndex / maxFramesPerRow);
-    const col = frameIndex % maxFramesPerRow;
-    return { row, col };
-}
-
-// Check if a frame is blank (all transparent or all same color)
-function isFrameBlank(frameIndex) {
-    const { row, col } = frameIndexToRowCol(frameIndex);
-    
-    const sourceX = col * SPRITE_WIDTH;
-    const sourceY = row * SPRITE_HEIGHT;
-    
-    // Create a temporary canvas to sample the frame
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = SPRITE_WIDTH;
-    tempCanvas.height = SPRITE_HEIGHT;
-    const tempCtx = tempCanvas.getContext('2d');
-    
-    // Draw the frame region to temp canvas
-    tempCtx.drawImage(
-        spriteSheet,
-        sourceX, sourceY, SPRITE_WIDTH, SPRITE_HEIGHT,
-        0, 0, SPRITE_WIDTH, SPRITE_HEIGHT
-    );
-    
-    // Sample pixels to check if frame is blank
-    const imageData = tempCtx.getImageData(0, 0, SPRITE_WIDTH, SPRITE_HEIGHT);
-    const pixels = imageData.data;
-    
-    // Check if all pixels are transparent (alpha = 0) or all same color
-    let firstPixel = null;
-    let hasContent = false;
-    
-    for (let i = 0; i < pixels.length; i += 4) {
-        const r = pixels[i];
-        const g = pixels[i + 1];
-        const b = pixels[i + 2];
-        const a = pixels[i + 3];
-        
-        // If pixel is not fully transparent
-        if (a > 0) {
-            if (firstPixel === null) {
-                firstPixel = { r, g, b, a };
-            } else {
-                // Check if this pixel is different from the first non-transparent pixel
-                if (r !== firstPixel.r || g !== firstPixel.g || b !== firstPixel.b || a !== firstPixel.a) {
-                    hasContent = true;
-                    break;
-                }
-            }
-        }
+let cumulativeTimes = []; // Cumulative start time for each song (laid out in play order)
+let playOrder = []; // Song indexes in the order they play (shuffled in shuffle mode)
+let playbackMode = 'normal'; // One of PLAYBACK_MODES (saved between visits)
+let reducedMotion = false; // Calm mode (see setReducedMotion)
+let songLyrics = new Map(); // Song index -> parsed LRC lines ([] if none), set once loaded
+let lastSessionSave = 0; // Timestamp of the last saved session (see saveSession)
+let pendingDeepLinkTime = null; // Album time from a shared link, applied on the first user gesture
+let scrubberDragTime = null; // Album time being dragged to on the scrubber (null when not dragging)
+let scrubberMarkersKey = ''; // Timeline the scrubber's track markers were drawn for
+
+// Load an optional JSON file (resolves to null when there's no url or no file)
+async function loadOptionalJson(url) {
+    if (!url) return null;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (error) {
+        console.error(`Error loading ${url}:`, error);
+        return null;
     }
-    
-    // Frame is blank if it's all transparent or all the same color
-    return !hasContent && firstPixel === null;
 }
 
-// Detect valid (non-blank) frames and group by row
-function detectValidFrames() {
-    // Calculate maximum possible frames per row from spritesheet width
-    maxFramesPerRow = Math.floor(spriteSheet.width / SPRITE_WIDTH);
-    const rows = Math.floor(spriteSheet.height / SPRITE_HEIGHT);
-    const totalFrames = maxFramesPerRow * rows;
-    
-    // Reset mappings
-    framesByRow = {};
-    frameToRowCol = {};
-    
-    // Detect all valid frames and determine actual row/col for each
-    for (let i = 0; i < totalFrames; i++) {
-        if (!isFrameBlank(i)) {
-            // Calculate row and col for this frame
-            const row = Math.floor(i / maxFramesPerRow);
-            const col = i % maxFramesPerRow;
-            
-            // Store row/col mapping for this frame
-            frameToRowCol[i] = { row, col };
-            
-            // Group by row
-            if (!framesByRow[row]) {
-                framesByRow[row] = [];
-            }
-            framesByRow[row].push(i);
-        }
-    }
-    
-    // Sort frames in each row to ensure sequential order
-    for (let row in framesByRow) {
-        framesByRow[row].sort((a, b) => a - b);
-    }
-    
-    // Get all rows that have valid frames
-    validRows = Object.keys(framesByRow).map(Number);
-    
-    if (validRows.length === 0) {
-        console.error('No valid frames found');
-        return;
-    }
+// Load an image (rejects if it fails)
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Failed to load ${url}`));
+        image.src = url;
+    });
+}
+
+// Loaded sprite sheets of a song's cast (the default cast for songs without one)
+function getCastSheets(songIndex) {
+    const song = songs[songIndex];
+    const sheetNames = (song && CASTS[song.cast]) || CASTS.default || [DEFAULT_SPRITE_SHEET];
+    const sheets = sheetNames
+        .map(name => spriteSheets[name])
+        .filter(sheet => sheet && sheet.loaded);
+    return sheets.length > 0 ? sheets : [spriteSheets[DEFAULT_SPRITE_SHEET]];
+}
+
+// Size the canvas to the window, with one canvas pixel per device pixel
+function resizeCanvas() {
+    viewWidth = window.innerWidth || 800;
+    viewHeight = window.innerHeight || 600;
+    
+    // The displayed size can differ from the layout size (body.mobile is scaled down)
+    const displayed = canvas.getBoundingClientRect();
+    const displayScale = displayed.width > 0 ? displayed.width / viewWidth : 1;
+    canvasPixelRatio = (window.devicePixelRatio || 1) * displayScale;
+    
+    canvas.width = Math.round(viewWidth * canvasPixelRatio);
+    canvas.height = Math.round(viewHeight * canvasPixelRatio);
+    
+    // Resizing resets the context, so scale it to layout coordinates again
+    ctx.setTransform(canvasPixelRatio, 0, 0, canvasPixelRatio, 0, 0);
+    ctx.imageSmoothingEnabled = false;
 }
 
+// SCALE rounded so every sprite pixel covers a whole number of device pixels
+function getSpriteScale() {
+    return Math.max(1, Math.round(SCALE * canvasPixelRatio)) / canvasPixelRatio;
+}
+
+// Round a layout coordinate to the nearest device pixel
+function snapToDevicePixel(value) {
+    return Math.round(value * canvasPixelRatio) / canvasPixelRatio;
+}
 
 // Check if two rectangles collide
 function checkCollision(rect1, rect2) {
@@ -301,104 +1205,256 @@ function checkCollision(rect1, rect2) {
              rect2.y + rect2.height < rect1.y);
 }
 
-// Check if a position collides with any existing character
-function hasCollision(x, y, width, height) {
+// Check if a position collides with any existing character (other than ignoredCharacter)
+function hasCollision(x, y, width, height, ignoredCharacter = null) {
     const testRect = { x, y, width, height };
     for (let char of characters) {
-        if (checkCollision(testRect, char.getBounds())) {
+        if (char !== ignoredCharacter && checkCollision(testRect, char.getBounds())) {
             return true;
         }
     }
     return false;
 }
 
-// Check if a position collides with UI elements (scroll bar or message box)
-function hasUICollision(x, y, width, height) {
-    const testRect = { x, y, width, height };
+// UI areas characters must stay out of (scroll bar and message box)
+// Measured once and cached until the window or the message box changes size (see invalidateUIRects)
+function getUIRects() {
+    if (uiRects) return uiRects;
     
     // Top scroll bar exclusion zone (height: 60px)
-    const scrollBarRect = {
+    const rects = [{
         x: 0,
         y: 0,
-        width: canvas.width,
-        height: 60
-    };
-    if (checkCollision(testRect, scrollBarRect)) {
-        return true;
+        width: viewWidth,
+        height: SCROLL_BAR_HEIGHT
+    }];
+    
+    // Bottom right message box exclusion zone
+    const startMessage = document.getElementById('startMessage');
+    if (startMessage) {
+        const messageRect = startMessage.getBoundingClientRect();
+        rects.push({
+            x: messageRect.left,
+            y: messageRect.top,
+            width: messageRect.width,
+            height: messageRect.height
+        });
+    }
+    
+    uiRects = rects;
+    return rects;
+}
+
+// Measure the UI areas again on the next getUIRects() call
+function invalidateUIRects() {
+    uiRects = null;
+}
+
+// Check if a position collides with UI elements (scroll bar or message box)
+function hasUICollision(x, y, width, height) {
+    const testRect = { x, y, width, height };
+    return getUIRects().some(rect => checkCollision(testRect, rect));
+}
+
+// Free-space search for placing characters
+// Obstacles (characters and UI) are bucketed in a grid, so each test only looks at nearby
+// ones. find() tries a few random spots, then every spot just right of/below an obstacle
+// edge: any free spot can slide left and up until it reaches one of those, so if they're
+// all taken the canvas is full.
+class FreeSpace {
+    constructor(ignoredCharacter = null) {
+        this.obstacles = [...getUIRects()];
+        for (let character of characters) {
+            if (character !== ignoredCharacter) {
+                this.obstacles.push(character.getBounds());
+            }
+        }
+        
+        this.cells = new Map(); // "col,row" -> obstacles overlapping that cell
+        for (let obstacle of this.obstacles) {
+            this.forEachCell(obstacle, key => {
+                if (!this.cells.has(key)) {
+                    this.cells.set(key, []);
+                }
+                this.cells.get(key).push(obstacle);
+            });
+        }
+    }
+    
+    forEachCell(rect, callback) {
+        const fromCol = Math.floor(rect.x / FREE_SPACE_CELL_SIZE);
+        const toCol = Math.floor((rect.x + rect.width) / FREE_SPACE_CELL_SIZE);
+        const fromRow = Math.floor(rect.y / FREE_SPACE_CELL_SIZE);
+        const toRow = Math.floor((rect.y + rect.height) / FREE_SPACE_CELL_SIZE);
+        for (let col = fromCol; col <= toCol; col++) {
+            for (let row = fromRow; row <= toRow; row++) {
+                callback(`${col},${row}`);
+            }
+        }
     }
     
-    // Bottom right message box exclusion zone
-    const startMessage = document.getElementById('startMessage');
-    if (startMessage) {
-        const messageRect = startMessage.getBoundingClientRect();
-        const messageBoxRect = {
-            x: messageRect.left,
-            y: messageRect.top,
-            width: messageRect.width,
-            height: messageRect.height
+    isFree(x, y, width, height) {
+        const testRect = { x, y, width, height };
+        let free = true;
+        this.forEachCell(testRect, key => {
+            if (free && this.cells.has(key)) {
+                free = !this.cells.get(key).some(obstacle => checkCollision(testRect, obstacle));
+            }
+        });
+        return free;
+    }
+    
+    // Random free position for a width x height character (null if there is none)
+    // near: { x, y } to get the free position closest to it instead
+    find(width, height, near = null) {
+        const maxX = viewWidth - width;
+        const maxY = viewHeight - height;
+        const minY = SCROLL_BAR_HEIGHT; // Start below the scroll bar
+        if (maxX < 0 || maxY < minY) return null;
+        
+        const clampedNear = near && {
+            x: Math.min(Math.max(near.x, 0), maxX),
+            y: Math.min(Math.max(near.y, minY), maxY)
         };
-        if (checkCollision(testRect, messageBoxRect)) {
-            return true;
+        if (clampedNear && this.isFree(clampedNear.x, clampedNear.y, width, height)) {
+            return clampedNear;
+        }
+        
+        for (let i = 0; i < (near ? 0 : FREE_SPACE_RANDOM_ATTEMPTS); i++) {
+            const x = Math.random() * maxX;
+            const y = minY + Math.random() * (maxY - minY);
+            if (this.isFree(x, y, width, height)) {
+                return { x, y };
+            }
+        }
+        
+        // Crowded: check every edge-aligned spot and pick one of the free ones
+        const xs = [0, ...this.obstacles.map(obstacle => obstacle.x + obstacle.width + 1)]
+            .filter(x => x >= 0 && x <= maxX);
+        const ys = [minY, ...this.obstacles.map(obstacle => obstacle.y + obstacle.height + 1)]
+            .filter(y => y >= minY && y <= maxY);
+        if (clampedNear) {
+            // Also try sliding straight across or down from the wanted spot
+            xs.push(clampedNear.x, ...this.obstacles.map(obstacle => obstacle.x - width - 1).filter(x => x >= 0 && x <= maxX));
+            ys.push(clampedNear.y, ...this.obstacles.map(obstacle => obstacle.y - height - 1).filter(y => y >= minY && y <= maxY));
+        }
+        const freeSpots = [];
+        for (let x of xs) {
+            for (let y of ys) {
+                if (this.isFree(x, y, width, height)) {
+                    freeSpots.push({ x, y });
+                }
+            }
+        }
+        
+        // If we can't find a position, return null (screen is full)
+        if (freeSpots.length === 0) return null;
+        if (clampedNear) {
+            const distance = spot => Math.hypot(spot.x - clampedNear.x, spot.y - clampedNear.y);
+            return freeSpots.reduce((closest, spot) => distance(spot) < distance(closest) ? spot : closest);
         }
+        return freeSpots[Math.floor(Math.random() * freeSpots.length)];
     }
-    
-    return false;
 }
 
-// Find a random position that doesn't collide
-function findRandomPosition() {
-    const charWidth = SPRITE_WIDTH * SCALE;
-    const charHeight = SPRITE_HEIGHT * SCALE;
-    const maxX = canvas.width - charWidth;
-    const maxY = canvas.height - charHeight;
-    
-    // Top scroll bar height
-    const scrollBarHeight = 60;
-    const minY = scrollBarHeight; // Start below the scroll bar
-    
-    // Try up to 1000000 times to find a valid position
-    for (let i = 0; i < 1000000; i++) {
-        const x = Math.random() * maxX;
-        const y = minY + Math.random() * (maxY - minY); // Ensure we're below scroll bar
+// Find a random position that doesn't collide for a character of the given size
+// ignoredCharacter: a character that's moving away, so its own spot counts as free
+// near: { x, y } to get the free position closest to it instead of a random one
+function findRandomPosition(charWidth, charHeight, ignoredCharacter = null, near = null) {
+    return new FreeSpace(ignoredCharacter).find(charWidth, charHeight, near);
+}
+
+// Fit characters to a new canvas size: keep them in view and out of the UI, moving each
+// to the closest free spot when it no longer fits where it was (oldest characters first).
+// Characters with no room left are set aside and come back on a later relayout that has room
+// (e.g. rotating a phone back).
+function relayoutCharacters() {
+    const toPlace = [...characters.filter(character => !character.isCenterCharacter), ...deferredCharacters];
+    characters = characters.filter(character => character.isCenterCharacter);
+    deferredCharacters = [];
+    
+    for (let character of toPlace) {
+        const position = findRandomPosition(character.width, character.height, null, character);
+        if (!position) {
+            deferredCharacters.push(character);
+            continue;
+        }
         
-        // Check both character collisions and UI collisions
-        if (!hasCollision(x, y, charWidth, charHeight) && 
-            !hasUICollision(x, y, charWidth, charHeight)) {
-            return { x, y };
+        character.x = position.x;
+        character.y = position.y;
+        if (character.target) {
+            // Its destination may be off-screen or taken now
+            character.arrive(animationClock.now());
         }
+        characters.push(character);
     }
+    invalidateCanvas();
+    syncCharacterMirror();
+}
+
+// How full the canvas is: share of the area outside the UI covered by characters (0-1)
+function getFillRatio() {
+    const canvasArea = viewWidth * viewHeight;
+    const clippedArea = rect => {
+        const width = Math.min(rect.x + rect.width, viewWidth) - Math.max(rect.x, 0);
+        const height = Math.min(rect.y + rect.height, viewHeight) - Math.max(rect.y, 0);
+        return width > 0 && height > 0 ? width * height : 0;
+    };
     
-    // If we can't find a position, return null (screen is full)
-    return null;
+    // Characters and UI areas don't overlap each other, so their areas add up
+    const uiArea = getUIRects().reduce((sum, rect) => sum + clippedArea(rect), 0);
+    const characterArea = characters.reduce((sum, character) => sum + clippedArea(character.getBounds()), 0);
+    const usableArea = canvasArea - uiArea;
+    return usableArea > 0 ? Math.min(1, characterArea / usableArea) : 1;
+}
+
+// Schedule the next character spawn: 25 seconds ± 3 seconds (22-28 seconds) of play from now
+// (REDUCED_MOTION_SPAWN_SLOWDOWN times that in calm mode)
+function scheduleNextSpawn() {
+    const randomOffset = (Math.random() * 6 - 3) * 1000; // -3000 to +3000 ms
+    const slowdown = reducedMotion ? REDUCED_MOTION_SPAWN_SLOWDOWN : 1;
+    nextSpawnTime = animationClock.now() + (CHARACTER_SPAWN_INTERVAL + randomOffset) * slowdown;
+    scheduleRender();
 }
 
-// Add a new character
+// Add a new character from the playing song's cast
 function addCharacter() {
-    const position = findRandomPosition();
+    const castSheets = getCastSheets(currentSongIndex);
+    const sheet = castSheets[Math.floor(Math.random() * castSheets.length)];
+    const position = findRandomPosition(sheet.spriteWidth * getSpriteScale(), sheet.spriteHeight * getSpriteScale());
     
     if (position === null) {
         // Screen is full, stop spawning
-        if (spawnTimer) {
-            clearTimeout(spawnTimer);
-            spawnTimer = null;
-        }
+        nextSpawnTime = null;
         return;
     }
     
-    const character = new Character(position.x, position.y);
+    const character = new Character(position.x, position.y, sheet);
+    character.songIndex = currentSongIndex;
+    if (reducedMotion) {
+        character.startFade(true);
+    }
     characters.push(character);
+    invalidateRect(character.getDrawBounds());
+    syncCharacterMirror();
 }
 
 // Remove all characters except center character one by one, half second apart
+// (calm mode fades them all out together instead)
 function removeCharactersOneByOne() {
     // Stop spawning new characters
-    if (spawnTimer) {
-        clearInterval(spawnTimer);
-        spawnTimer = null;
-    }
+    nextSpawnTime = null;
     
-    // Get all characters except the center character
+    // Get all characters except the center character (and forget any set aside by a resize)
     const charactersToRemove = characters.filter(char => !char.isCenterCharacter);
+    deferredCharacters = [];
+    
+    if (reducedMotion) {
+        // updateFades removes them once they've faded out
+        charactersToRemove.forEach(character => character.startFade(false));
+        scheduleRender();
+        return;
+    }
     
     // Remove them one by one with 0.5 second delay between each
     charactersToRemove.forEach((character, index) => {
@@ -406,6 +1462,8 @@ function removeCharactersOneByOne() {
             const charIndex = characters.indexOf(character);
             if (charIndex !== -1) {
                 characters.splice(charIndex, 1);
+                invalidateRect(character.getDrawBounds());
+                syncCharacterMirror();
             }
         }, index * 500); // 500ms = 0.5 seconds
     });
@@ -426,25 +1484,22 @@ function resetToInitialState() {
         clearInterval(songTimer);
         songTimer = null;
     }
-    if (spawnTimer) {
-        clearTimeout(spawnTimer);
-        spawnTimer = null;
-    }
+    nextSpawnTime = null;
+    updateAnimationClock();
     
-    // Reset audio to beginning (load first song)
+    // Reset audio to beginning (load first song, with a fresh order in shuffle mode)
     if (songs.length > 0) {
-        loadAndPlaySong(0, 0);
+        playOrder = buildPlayOrder(-1);
+        recalculateTimeline();
+        applyPlaybackRules();
+        loadAndPlaySong(Math.max(0, getSongIndexAtTime(0)), 0);
         if (backgroundAudio) {
             backgroundAudio.pause();
         }
     }
     
     // Update play/stop icon to play
-    const playStopIcon = document.getElementById('playStopIcon');
-    if (playStopIcon) {
-        playStopIcon.textContent = '▶';
-        playStopIcon.innerHTML = '▶';
-    }
+    updatePlayButton();
     
     // Clear the scroll content
     const scrollContent = document.getElementById('scrollContent');
@@ -454,47 +1509,128 @@ function resetToInitialState() {
         scrollContent.style.visibility = 'hidden';
     }
     
-    // Remove all characters except center character
+    // Remove all characters except center character, which goes back to its idle pose
     removeCharactersOneByOne();
+    if (centerCharacter) {
+        centerCharacter.holdIdlePose();
+        invalidateRect(centerCharacter.getDrawBounds());
+    }
     
     // Update timer display to show 0:00
     updateTimer();
+    updateLyrics();
+    updateMediaMetadata(null);
+    updateMediaPositionState();
+    clearShareableUrl();
+    
+    // Album finished: next visit starts from the beginning
+    clearSavedSession();
 }
 
-// Check if mouse is over any character
-function isMouseOverCharacter(mouseX, mouseY) {
+// Find the character at a canvas point (null if none), using the same snapped rectangle it's drawn in
+function getCharacterAt(x, y) {
     for (let character of characters) {
-        const charBounds = character.getBounds();
-        if (mouseX >= charBounds.x && 
-            mouseX <= charBounds.x + charBounds.width &&
-            mouseY >= charBounds.y && 
-            mouseY <= charBounds.y + charBounds.height) {
-            return true;
+        const charBounds = character.getDrawBounds();
+        if (x >= charBounds.x && 
+            x < charBounds.x + charBounds.width &&
+            y >= charBounds.y && 
+            y < charBounds.y + charBounds.height) {
+            return character;
         }
     }
-    return false;
+    return null;
 }
 
-// Handle mouse movement to change cursor
-function handleCanvasMouseMove(event) {
+// Convert a mouse/touch event's position to canvas layout coordinates (CSS pixels)
+// This accounts for any CSS transforms (like body.mobile scale(0.5))
+function getCanvasPoint(event) {
     const rect = canvas.getBoundingClientRect();
-    const mouseX = event.clientX - rect.left;
-    const mouseY = event.clientY - rect.top;
+    // Support both mouse and touch events
+    const point = event.clientX !== undefined ? event : (event.touches && event.touches[0] ? event.touches[0] : event.changedTouches[0]);
+    return {
+        x: (point.clientX - rect.left) * (viewWidth / rect.width),
+        y: (point.clientY - rect.top) * (viewHeight / rect.height)
+    };
+}
+
+// Handle mouse movement to change cursor and show which song summoned the character under it
+function handleCanvasMouseMove(event) {
+    const { x: mouseX, y: mouseY } = getCanvasPoint(event);
+    const character = getCharacterAt(mouseX, mouseY);
     
-    if (isMouseOverCharacter(mouseX, mouseY)) {
+    if (character) {
         canvas.style.cursor = 'pointer';
+        showCharacterTooltip(character);
     } else {
         canvas.style.cursor = 'default';
+        hideCharacterTooltip();
+    }
+}
+
+// What a character is about: the song that summoned it (the center character opens the song list)
+function describeCharacter(character) {
+    if (character.isCenterCharacter) return 'songs';
+    const song = songs[character.songIndex];
+    return song ? `summoned by ${song.title}` : null;
+}
+
+// Show the character's tooltip centered above it
+function showCharacterTooltip(character) {
+    const tooltip = document.getElementById('characterTooltip');
+    if (!tooltip) return;
+    
+    const text = describeCharacter(character);
+    if (!text) {
+        hideCharacterTooltip();
+        return;
+    }
+    
+    tooltipCharacter = character;
+    tooltip.textContent = text;
+    tooltip.style.left = `${character.x + character.width / 2}px`;
+    tooltip.style.top = `${character.y}px`;
+    tooltip.classList.add('visible');
+}
+
+function hideCharacterTooltip() {
+    const tooltip = document.getElementById('characterTooltip');
+    if (tooltip) {
+        tooltip.classList.remove('visible');
+    }
+    tooltipCharacter = null;
+}
+
+// Clicking a character takes you back to the song that summoned it, or makes it react
+// if that song is playing; the center character (and characters without a song) open the song list
+// focusList: move keyboard focus into the song list (when activated from the keyboard)
+function activateCharacter(character, focusList = false) {
+    const song = songs[character.songIndex];
+    if (character.isCenterCharacter || !song) {
+        toggleSongList(focusList);
+        return;
+    }
+    
+    if (songListVisible) {
+        closeSongList();
     }
+    if (song.available && character.songIndex !== currentSongIndex) {
+        seekToSong(cumulativeTimes[character.songIndex] || 0);
+    }
+    character.react();
+    invalidateRect(character.getDrawBounds());
 }
 
-// Load sprite sheet
-function loadSpriteSheet() {
-    spriteSheet = new Image();
-    spriteSheet.onload = () => {
+// Load sprite sheets
+function loadSpriteSheets() {
+    for (let name in SPRITE_SHEETS) {
+        spriteSheets[name] = new SpriteSheet(name, SPRITE_SHEETS[name]);
+    }
+    const defaultSheet = spriteSheets[DEFAULT_SPRITE_SHEET];
+    
+    // Read every sheet's frames before creating characters
+    Promise.all(Object.values(spriteSheets).map(sheet => sheet.load())).then(() => {
         // Set canvas to full window size
-        canvas.width = window.innerWidth || 800;
-        canvas.height = window.innerHeight || 600;
+        resizeCanvas();
         
         // Function to position the center character above the title box on the left
         function centerCharacterOnScreen() {
@@ -510,7 +1646,7 @@ function loadSpriteSheet() {
                     const spacing = 20;
                     
                     const leftX = messageRect.left + offsetX;
-                    const aboveY = messageRect.top - SPRITE_HEIGHT * SCALE - spacing + offsetY;
+                    const aboveY = messageRect.top - centerCharacter.height - spacing + offsetY;
                     
                     centerCharacter.x = leftX;
                     centerCharacter.y = aboveY;
@@ -522,24 +1658,27 @@ function loadSpriteSheet() {
             }
         }
         
-        // Update canvas size on window resize and re-center character
-        window.addEventListener('resize', () => {
-            canvas.width = window.innerWidth || 800;
-            canvas.height = window.innerHeight || 600;
+        // Update canvas size on window resize (and phone rotation), re-center character
+        // and move the other characters back into view
+        function handleResize() {
+            resizeCanvas();
+            invalidateUIRects();
+            // Device pixels per CSS pixel may have changed (zoom, another screen)
+            for (let character of [...characters, ...deferredCharacters]) {
+                character.updateSize();
+            }
             // Only reposition center character if it exists (not on mobile)
             if (centerCharacter) {
                 centerCharacterOnScreen();
             }
-        });
-        
-        spriteSheetLoaded = true;
-        
-        // Detect valid frames (non-blank) - this must happen before creating characters
-        detectValidFrames();
+            relayoutCharacters();
+        }
+        window.addEventListener('resize', handleResize);
+        window.addEventListener('orientationchange', handleResize);
         
-        // Ensure validRows is populated before creating characters
-        if (validRows.length === 0) {
-            console.error('No valid rows found! Cannot create characters.');
+        // The default sheet is needed for the center character and as the fallback cast
+        if (!defaultSheet.loaded) {
+            console.error('No valid rows found in the default sprite sheet! Cannot create characters.');
             return;
         }
         
@@ -568,16 +1707,19 @@ function loadSpriteSheet() {
                     const spacing = 20;
                     
                     centerX = messageRect.left + offsetX;
-                    centerY = messageRect.top - SPRITE_HEIGHT * SCALE - spacing + offsetY;
+                    centerY = messageRect.top - defaultSheet.spriteHeight * getSpriteScale() - spacing + offsetY;
                 }
                 
-                centerCharacter = new Character(centerX, centerY, true); // true = isCenterCharacter
+                centerCharacter = new Character(centerX, centerY, defaultSheet, true); // true = isCenterCharacter
                 characters.push(centerCharacter);
+                invalidateCanvas();
             } else {
                 // Mobile: don't create center character
                 centerCharacter = null;
             }
             
+            syncCharacterMirror();
+            
             // Set default cursor
             canvas.style.cursor = 'default';
             
@@ -585,88 +1727,393 @@ function loadSpriteSheet() {
             canvas.addEventListener('click', handleCanvasClick);
             canvas.addEventListener('touchstart', handleCanvasClick);
             canvas.addEventListener('mousemove', handleCanvasMouseMove);
+            canvas.addEventListener('mouseleave', hideCharacterTooltip);
+            
+            // Songs and sprites are ready: offer to resume the last visit
+            offerResume();
         }, 100);
-    };
-    spriteSheet.onerror = () => {
-        console.error('Failed to load sprite sheet. Make sure character-spritesheet.png exists.');
-    };
-    spriteSheet.src = 'character-spritesheet.png';
+    });
 }
 
-// Show/hide song list box
-function toggleSongList() {
-    const songListBox = document.getElementById('songListBox');
+// Create the song list items, one per song (updateSongList orders them and fills in their state)
+function renderSongList() {
     const songListContent = document.getElementById('songListContent');
-    const startMessage = document.getElementById('startMessage');
+    if (!songListContent) return;
+    
+    songListContent.innerHTML = '';
+    
+    songs.forEach((song, index) => {
+        const songItem = document.createElement('div');
+        songItem.className = 'song-list-item';
+        songItem.tabIndex = -1; // Reached with the arrow keys (see handleSongListKeydown)
+        songItem.id = `songListItem${index}`;
+        songItem.dataset.index = String(index);
+        songItem.setAttribute('role', 'option');
+        if (song.credits) {
+            songItem.title = song.credits;
+        }
+        
+        const title = document.createElement('span');
+        title.className = 'song-list-title';
+        title.textContent = song.title;
+        const time = document.createElement('span');
+        time.className = 'song-list-time';
+        songItem.append(title, time);
+        
+        // Seek to the song's start time (unavailable songs can't be played)
+        songItem.addEventListener('click', (e) => {
+            e.stopPropagation(); // Keep the list open
+            if (songs[index].available) {
+                seekToSong(cumulativeTimes[index] || 0);
+            }
+        });
+        
+        songListContent.appendChild(songItem);
+    });
     
-    if (!songListBox || !songListContent || !startMessage) return;
+    songListOrderKey = '';
+}
+
+// Bring the open song list up to date: songs in play order, the current song highlighted
+// with its progress, durations, and unavailable songs struck out
+// (called when the list opens, then by updateSongListProgress when any of that changes)
+function updateSongList() {
+    const songListContent = document.getElementById('songListContent');
+    if (!songListContent || !songListVisible) return;
+    
+    songListStateKey = getSongListStateKey();
+    if (songListContent.children.length !== songs.length) {
+        renderSongList();
+    }
+    
+    // Only reorder the items when the play order changes (shuffle), keeping focus where it was
+    const orderKey = playOrder.join(',');
+    if (orderKey !== songListOrderKey) {
+        songListOrderKey = orderKey;
+        const focused = songListContent.contains(document.activeElement) ? document.activeElement : null;
+        for (let index of playOrder) {
+            songListContent.appendChild(document.getElementById(`songListItem${index}`));
+        }
+        if (focused) {
+            focused.focus();
+        }
+    }
+    
+    songs.forEach((song, index) => updateSongListItem(index));
+}
+
+// Show one song's state in the list
+function updateSongListItem(index) {
+    const song = songs[index];
+    const songItem = document.getElementById(`songListItem${index}`);
+    const time = songItem.querySelector('.song-list-time');
+    const isCurrent = index === currentSongIndex;
+    const duration = songDurations[index] || 0;
+    
+    songItem.classList.toggle('current', isCurrent);
+    songItem.setAttribute('aria-selected', String(isCurrent));
+    songItem.classList.toggle('unavailable', !song.available);
+    
+    if (!song.available) {
+        songItem.title = 'unavailable';
+        songItem.setAttribute('aria-disabled', 'true');
+        songItem.setAttribute('aria-label', `${song.title} (unavailable)`);
+        time.textContent = '';
+        songItem.style.removeProperty('--track-progress');
+    } else if (isCurrent && duration > 0) {
+        const timeInSong = Math.min(Math.max(0, elapsedTime - cumulativeTimes[index]), duration);
+        time.textContent = `${secondsToTime(timeInSong)}/${secondsToTime(duration)}`;
+        songItem.style.setProperty('--track-progress', `${(timeInSong / duration) * 100}%`);
+    } else {
+        time.textContent = duration > 0 ? secondsToTime(duration) : '';
+        songItem.style.removeProperty('--track-progress');
+    }
+}
+
+// Everything the song list shows apart from the playing song's progress
+function getSongListStateKey() {
+    const availability = songs.map(song => (song.available ? '1' : '0')).join('');
+    return `${playOrder.join(',')}|${currentSongIndex}|${songDurations.join(',')}|${availability}`;
+}
+
+// Keep the open song list up to date (called with the timer, which every change of track,
+// play order, duration or availability updates): a changed album brings the whole list up
+// to date, otherwise only the playing song's progress moves on
+function updateSongListProgress() {
+    if (!songListVisible) return;
+    
+    if (getSongListStateKey() !== songListStateKey) {
+        updateSongList();
+    } else {
+        updateSongListItem(currentSongIndex);
+    }
+}
+
+// Show/hide song list box (it's anchored to the message box by the stylesheet)
+// focusList: move keyboard focus into the list (on the playing song) once it's shown
+function toggleSongList(focusList = false) {
+    const songListBox = document.getElementById('songListBox');
+    const songListContent = document.getElementById('songListContent');
+    if (!songListBox || !songListContent) return;
     
     if (songListVisible) {
         // Hide the box
-        songListBox.classList.remove('visible');
-        songListVisible = false;
+        closeSongList();
+        return;
+    }
+    
+    songListReturnFocus = document.activeElement;
+    songListVisible = true;
+    updateSongList();
+    songListBox.classList.add('visible');
+    updateSongListButton(true);
+    
+    if (focusList) {
+        const items = [...songListContent.querySelectorAll('.song-list-item')];
+        const currentItem = items.findIndex(item => Number(item.dataset.index) === currentSongIndex);
+        focusSongListItem(items, Math.max(currentItem, 0));
+    }
+}
+
+// Hide the song list, giving keyboard focus back to where it was before the list opened
+function closeSongList() {
+    const songListBox = document.getElementById('songListBox');
+    if (!songListBox) return;
+    
+    const hadFocus = songListBox.contains(document.activeElement);
+    songListBox.classList.remove('visible');
+    songListVisible = false;
+    updateSongListButton(false);
+    
+    if (hadFocus) {
+        if (songListReturnFocus && document.body.contains(songListReturnFocus)) {
+            songListReturnFocus.focus();
+        } else {
+            document.activeElement.blur();
+        }
+    }
+    songListReturnFocus = null;
+}
+
+// Keep the songs button's (and character buttons') expanded state in step with the list
+function updateSongListButton(expanded) {
+    document.querySelectorAll('#songListButton, #characterMirror button[aria-controls]').forEach(button => {
+        button.setAttribute('aria-expanded', String(expanded));
+    });
+}
+
+// Roving focus: only the focused song is in the tab order
+function focusSongListItem(items, index) {
+    if (index < 0 || !items[index]) return;
+    items.forEach((item, i) => {
+        item.tabIndex = i === index ? 0 : -1;
+    });
+    items[index].focus();
+}
+
+// Arrow keys move through the song list, Enter/Space plays the focused song, Escape closes it
+function handleSongListKeydown(event) {
+    const songListContent = document.getElementById('songListContent');
+    const items = [...songListContent.querySelectorAll('.song-list-item')];
+    const index = items.indexOf(document.activeElement);
+    
+    if (event.key === 'ArrowDown') {
+        focusSongListItem(items, Math.min(index + 1, items.length - 1));
+    } else if (event.key === 'ArrowUp') {
+        focusSongListItem(items, Math.max(index - 1, 0));
+    } else if (event.key === 'Home') {
+        focusSongListItem(items, 0);
+    } else if (event.key === 'End') {
+        focusSongListItem(items, items.length - 1);
+    } else if ((event.key === 'Enter' || event.key === ' ') && index !== -1) {
+        items[index].click();
+    } else if (event.key === 'Escape') {
+        closeSongList();
     } else {
-        // Show the box and populate with song titles
-        songListContent.innerHTML = '';
-        
-        songs.forEach((song, index) => {
-            const songItem = document.createElement('div');
-            songItem.className = 'song-list-item';
-            songItem.textContent = song.title;
-            
-            // Add click handler to seek to song start time
-            songItem.addEventListener('click', (e) => {
-                const songStartTime = cumulativeTimes[index] || 0;
-                seekToSong(songStartTime);
-                e.stopPropagation(); // Prevent event bubbling
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+// Play song N of the album (0-based, in album order)
+function jumpToSong(index) {
+    if (!songs[index] || !songs[index].available) return;
+    seekToSong(cumulativeTimes[index] || 0);
+}
+
+// Don't take over keys while the user is typing, or Space/Enter on a focused control
+function isShortcutTarget(event) {
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return false;
+    }
+    if ((event.key === ' ' || event.key === 'Enter') && target && target.closest &&
+        target.closest('button, a[href], [role="button"]')) {
+        return false;
+    }
+    return true;
+}
+
+// Run the KEYBOARD_SHORTCUTS entry for a key press
+function handleKeyboardShortcut(event) {
+    if (!event.key) return; // Some synthetic and IME events have no key
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (!isShortcutTarget(event)) return;
+    
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const shortcut = KEYBOARD_SHORTCUTS.find(entry => entry.keys.includes(key));
+    if (!shortcut) return;
+    
+    event.preventDefault(); // e.g. Space would scroll the page
+    shortcut.action(event);
+}
+
+// Fill the help overlay from KEYBOARD_SHORTCUTS
+function initShortcutHelp() {
+    const helpList = document.getElementById('shortcutHelpList');
+    const help = document.getElementById('shortcutHelp');
+    if (!helpList || !help) return;
+    
+    for (let shortcut of KEYBOARD_SHORTCUTS) {
+        const key = document.createElement('dt');
+        key.textContent = shortcut.label;
+        const description = document.createElement('dd');
+        description.textContent = shortcut.description;
+        helpList.append(key, description);
+    }
+    
+    help.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't toggle play/pause or close the song list
+        toggleShortcutHelp(false);
+    });
+    
+    // It's modal and has nothing to tab to, so Tab keeps focus on it
+    help.addEventListener('keydown', (event) => {
+        if (event.key === 'Tab') {
+            event.preventDefault();
+        }
+    });
+}
+
+// Show/hide the keyboard shortcut help (show: force one way)
+// Keyboard focus moves into it while it's open and goes back to where it was when it closes
+function toggleShortcutHelp(show) {
+    const help = document.getElementById('shortcutHelp');
+    if (!help) return;
+    
+    const visible = help.classList.contains('visible');
+    if (show === undefined) {
+        show = !visible;
+    }
+    if (show === visible) return;
+    
+    help.classList.toggle('visible', show);
+    if (show) {
+        shortcutHelpReturnFocus = document.activeElement;
+        help.focus();
+        return;
+    }
+    
+    if (help.contains(document.activeElement)) {
+        if (shortcutHelpReturnFocus && document.body.contains(shortcutHelpReturnFocus)) {
+            shortcutHelpReturnFocus.focus();
+        } else {
+            document.activeElement.blur();
+        }
+    }
+    shortcutHelpReturnFocus = null;
+}
+
+// Escape: close whatever is open
+function closeOverlays() {
+    const help = document.getElementById('shortcutHelp');
+    if (help && help.classList.contains('visible')) {
+        toggleShortcutHelp(false);
+    } else if (songListVisible) {
+        closeSongList();
+    }
+}
+
+// Offscreen buttons mirroring the characters on the canvas, so keyboard and screen reader
+// users can reach them; activating one does the same as clicking the character (see activateCharacter).
+// Buttons are in reading order (top to bottom, then left to right) and named after the song
+// that summoned their character. A focused character gets an outline on the canvas.
+function syncCharacterMirror() {
+    const mirror = document.getElementById('characterMirror');
+    if (!mirror) return;
+    
+    const visibleCharacters = characters.filter(character => character.isVisible())
+        .sort((a, b) => a.y - b.y || a.x - b.x);
+    const buttons = [...mirror.children];
+    const focusedButton = mirror.contains(document.activeElement) ? document.activeElement : null;
+    
+    // Characters summoned by each song, to tell apart several from the same one
+    const songCounts = new Map();
+    for (let character of visibleCharacters) {
+        songCounts.set(character.songIndex, (songCounts.get(character.songIndex) || 0) + 1);
+    }
+    const songPositions = new Map();
+    
+    // Keep each character's button (moved into place), so focus stays with its character
+    visibleCharacters.forEach((character, index) => {
+        let button = buttons.find(existing => existing.character === character);
+        if (!button) {
+            button = document.createElement('button');
+            button.type = 'button';
+            button.character = character;
+            button.addEventListener('click', (event) => {
+                event.stopPropagation(); // Don't let the document click handler close the list again
+                activateCharacter(button.character, true);
             });
-            
-            songListContent.appendChild(songItem);
-        });
-        
-        // Position the box relative to the message box
-        const messageRect = startMessage.getBoundingClientRect();
-        const isMobile = window.innerWidth <= 768 || /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        const offsetY = isMobile ? 80 : 20; // Space between boxes (more space on mobile to avoid overlap)
-        
-        // First render to get dimensions
-        songListBox.style.visibility = 'hidden';
-        songListBox.style.opacity = '0';
-        songListBox.style.display = 'flex';
+            button.addEventListener('focus', () => setFocusedCharacter(button.character));
+            button.addEventListener('blur', () => setFocusedCharacter(null));
+        }
+        if (mirror.children[index] !== button) {
+            mirror.insertBefore(button, mirror.children[index] || null);
+        }
         
-        setTimeout(() => {
-            const boxHeight = songListBox.offsetHeight || 200;
-            const boxWidth = songListBox.offsetWidth || 250;
-            
-            if (isMobile) {
-                // Mobile: position below the start message box, left-aligned
-                songListBox.style.left = '30px';
-                songListBox.style.top = `${messageRect.bottom + offsetY}px`;
-                songListBox.style.right = 'auto';
-                songListBox.style.bottom = 'auto';
-            } else {
-                // Desktop: position above the message box, right-aligned
-                songListBox.style.right = '30px';
-                songListBox.style.bottom = `${window.innerHeight - messageRect.top + offsetY}px`;
-                songListBox.style.left = 'auto';
-                songListBox.style.top = 'auto';
-            }
-            
-            // Adjust if box goes off screen
-            const rect = songListBox.getBoundingClientRect();
-            if (rect.top < 0) {
-                songListBox.style.top = `${messageRect.bottom + offsetY}px`;
-            }
-            if (rect.left < 0) {
-                songListBox.style.left = '30px';
-            }
-            if (rect.bottom > window.innerHeight) {
-                songListBox.style.top = `${messageRect.top - boxHeight - offsetY}px`; // Show above instead
-            }
-            
-            songListBox.classList.add('visible');
-            songListVisible = true;
-        }, 0);
+        const song = songs[character.songIndex];
+        if (character.isCenterCharacter || !song) {
+            const name = character.isCenterCharacter ? 'character above the title' : `character ${index + 1}`;
+            button.setAttribute('aria-label', `${name}: open the song list`);
+            button.setAttribute('aria-controls', 'songListBox');
+            button.setAttribute('aria-expanded', String(songListVisible));
+        } else {
+            const position = (songPositions.get(character.songIndex) || 0) + 1;
+            songPositions.set(character.songIndex, position);
+            const count = songCounts.get(character.songIndex);
+            const name = count > 1 ? `character ${position} of ${count} summoned by ${song.title}` : `character summoned by ${song.title}`;
+            button.setAttribute('aria-label', `${name}: play ${song.title}, or dance while it plays`);
+            button.removeAttribute('aria-controls');
+            button.removeAttribute('aria-expanded');
+        }
+    });
+    
+    // Drop buttons for characters that are gone
+    for (let button of [...mirror.children].slice(visibleCharacters.length)) {
+        button.remove();
+    }
+    // Moving a focused button can drop its focus
+    if (focusedButton && mirror.contains(focusedButton) && document.activeElement !== focusedButton) {
+        focusedButton.focus();
+    }
+    if (focusedCharacter && !visibleCharacters.includes(focusedCharacter)) {
+        setFocusedCharacter(null);
+    }
+    if (tooltipCharacter && !characters.includes(tooltipCharacter)) {
+        hideCharacterTooltip();
+    }
+}
+
+function setFocusedCharacter(character) {
+    if (focusedCharacter === character) return;
+    if (focusedCharacter) {
+        invalidateRect(focusedCharacter.getDrawBounds());
+    }
+    focusedCharacter = character;
+    if (character) {
+        invalidateRect(character.getDrawBounds());
     }
 }
 
@@ -674,96 +2121,218 @@ function toggleSongList() {
 function handleCanvasClick(event) {
     if (characters.length === 0) return;
     
-    const rect = canvas.getBoundingClientRect();
-    // Support both mouse and touch events
-    const clientX = event.clientX !== undefined ? event.clientX : (event.touches && event.touches[0] ? event.touches[0].clientX : event.changedTouches[0].clientX);
-    const clientY = event.clientY !== undefined ? event.clientY : (event.touches && event.touches[0] ? event.touches[0].clientY : event.changedTouches[0].clientY);
-    
     // Calculate click position relative to canvas
-    // Convert from displayed coordinates to canvas internal coordinates
-    // This accounts for any CSS transforms (like body.mobile scale(0.5))
-    const clickX = (clientX - rect.left) * (canvas.width / rect.width);
-    const clickY = (clientY - rect.top) * (canvas.height / rect.height);
+    const { x: clickX, y: clickY } = getCanvasPoint(event);
     
     // Check if click is on any character
-    let clickedCharacter = null;
-    for (let character of characters) {
-        const charBounds = character.getBounds();
-        if (clickX >= charBounds.x && 
-            clickX <= charBounds.x + charBounds.width &&
-            clickY >= charBounds.y && 
-            clickY <= charBounds.y + charBounds.height) {
-            clickedCharacter = character;
-            break;
-        }
-    }
+    const clickedCharacter = getCharacterAt(clickX, clickY);
     
     if (clickedCharacter) {
-        // Position box above the message box on bottom right
-        toggleSongList();
+        activateCharacter(clickedCharacter);
         event.stopPropagation(); // Prevent event from bubbling
         event.preventDefault(); // Prevent default touch behavior
     } else {
         // Click outside any character - close song list if open
         if (songListVisible) {
-            const songListBox = document.getElementById('songListBox');
-            if (songListBox) {
-                songListBox.classList.remove('visible');
-                songListVisible = false;
+            closeSongList();
+        }
+    }
+}
+
+// Close song list when clicking outside
+document.addEventListener('click', (event) => {
+    if (songListVisible) {
+        const songListBox = document.getElementById('songListBox');
+        if (songListBox && !songListBox.contains(event.target) && event.target !== canvas) {
+            closeSongList();
+        }
+    }
+});
+
+// Animation loop
+// Only redraws what changed: characters report frame/position changes from update(), and
+// anything else that changes the picture (spawns, removals, resizes) calls invalidateCanvas().
+// While playing with beat detection it runs every animation frame (the analyser has to be
+// sampled); otherwise it sleeps until the next timed frame change. Paused or hidden, it does
+// no work at all.
+function startAnimation() {
+    renderLoopStarted = true;
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    animationClock.addEventListener('advance', scheduleRender);
+    invalidateCanvas();
+}
+
+// Run the animation clock only while playing and visible
+function updateAnimationClock() {
+    if (gameStarted && !document.hidden) {
+        animationClock.start();
+    } else {
+        animationClock.stop();
+    }
+}
+
+// Redraw everything on the next frame
+function invalidateCanvas() {
+    fullRedrawNeeded = true;
+    scheduleRender();
+}
+
+// Redraw one area of the canvas on the next frame
+function invalidateRect(rect) {
+    dirtyRects.push(rect);
+    scheduleRender();
+}
+
+// Run renderFrame on the next animation frame (unless it's already pending or can't be seen)
+function scheduleRender() {
+    if (!renderLoopStarted || renderFrameRequest !== null || document.hidden) return;
+    
+    if (renderWakeTimer) {
+        clearTimeout(renderWakeTimer);
+        renderWakeTimer = null;
+    }
+    renderFrameRequest = requestAnimationFrame(renderFrame);
+}
+
+function renderFrame() {
+    renderFrameRequest = null;
+    
+    // Ensure canvas has valid dimensions
+    if (canvas.width === 0 || canvas.height === 0) {
+        resizeCanvas();
+        fullRedrawNeeded = true;
+    }
+    
+    const now = animationClock.now();
+    
+    // Detect beats in the music once per frame, before characters react to them
+    if (gameStarted && audioAnalysis) {
+        audioAnalysis.update(now);
+    }
+    
+    if (gameStarted && nextSpawnTime !== null && now >= nextSpawnTime) {
+        scheduleNextSpawn();
+        addCharacter(); // Stops spawning if the canvas is full
+    }
+    
+    updateFades();
+    
+    // Update characters (only animate if game started), marking where they were and are now
+    if (gameStarted) {
+        for (let character of characters) {
+            const before = character.getDrawBounds();
+            if (character.update()) {
+                dirtyRects.push(before, character.getDrawBounds());
             }
         }
     }
+    
+    drawDirtyAreas();
+    
+    // Keep going every frame while characters fade (playing or not)
+    if (characters.some(character => character.isFadeRunning())) {
+        scheduleRender();
+        return;
+    }
+    
+    // Keep going every frame while beats are being detected or someone walks,
+    // otherwise wake up for the next timed frame change or spawn, or to listen for beats again
+    // (a manually driven clock wakes the loop itself when advanced)
+    if (!gameStarted) return;
+    const followingBeats = audioAnalysis && !reducedMotion;
+    if ((followingBeats && audioAnalysis.active) || characters.some(character => character.isWalking())) {
+        scheduleRender();
+        return;
+    }
+    const nextChange = Math.min(nextSpawnTime === null ? Infinity : nextSpawnTime,
+        followingBeats ? now + ANALYSIS_POLL_INTERVAL : Infinity,
+        ...characters.map(character => character.nextFrameTime()));
+    if (nextChange !== Infinity && !animationClock.manual) {
+        renderWakeTimer = setTimeout(() => {
+            renderWakeTimer = null;
+            scheduleRender();
+        }, Math.max(0, nextChange - animationClock.now()));
+    }
 }
 
-// Close song list when clicking outside
-document.addEventListener('click', (event) => {
-    if (songListVisible) {
-        const songListBox = document.getElementById('songListBox');
-        if (songListBox && !songListBox.contains(event.target) && event.target !== canvas) {
-            songListBox.classList.remove('visible');
-            songListVisible = false;
+// Redraw fading characters, finishing fade-ins and removing characters that have faded out
+function updateFades() {
+    let removed = false;
+    
+    for (let character of characters.filter(character => character.isFading())) {
+        dirtyRects.push(character.getDrawBounds());
+        if (character.getFadeProgress() < 1) continue;
+        
+        if (character.fade.fadingIn) {
+            character.fade = null;
+        } else {
+            characters.splice(characters.indexOf(character), 1);
+            removed = true;
         }
     }
-});
+    
+    if (removed) {
+        syncCharacterMirror();
+    }
+}
 
-// Animation loop
-function startAnimation() {
-    function animate() {
-        // Ensure canvas has valid dimensions
-        if (canvas.width === 0 || canvas.height === 0) {
-            canvas.width = window.innerWidth || 800;
-            canvas.height = window.innerHeight || 600;
-        }
-        
+// Clear and redraw the invalidated parts of the canvas
+function drawDirtyAreas() {
+    if (fullRedrawNeeded) {
         // Clear canvas with transparent background
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        // Update and draw all characters (only animate if game started)
+        ctx.clearRect(0, 0, viewWidth, viewHeight);
         for (let character of characters) {
-            if (gameStarted) {
-                character.update();
-            }
             character.draw();
         }
-        
-        requestAnimationFrame(animate);
+    } else {
+        for (let dirty of dirtyRects) {
+            // One pixel of margin covers rounding at the edges
+            const area = { x: dirty.x - 1, y: dirty.y - 1, width: dirty.width + 2, height: dirty.height + 2 };
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(area.x, area.y, area.width, area.height);
+            ctx.clip();
+            ctx.clearRect(area.x, area.y, area.width, area.height);
+            // Redraw everyone overlapping the area, in the usual order
+            for (let character of characters) {
+                if (checkCollision(area, character.getDrawBounds())) {
+                    character.draw();
+                }
+            }
+            ctx.restore();
+        }
     }
     
-    animate();
+    fullRedrawNeeded = false;
+    dirtyRects = [];
+}
+
+// Stop rendering (and the animation clock) while the tab is hidden
+function handleVisibilityChange() {
+    updateAnimationClock();
+    if (document.hidden) {
+        if (renderFrameRequest !== null) {
+            cancelAnimationFrame(renderFrameRequest);
+            renderFrameRequest = null;
+        }
+        if (renderWakeTimer) {
+            clearTimeout(renderWakeTimer);
+            renderWakeTimer = null;
+        }
+        return;
+    }
+    invalidateCanvas();
 }
 
-// Convert time string (MM:SS) to seconds
+// Convert time string (MM:SS or H:MM:SS, seconds may have decimals) to seconds
 function timeToSeconds(timeStr) {
-    const parts = timeStr.split(':');
-    const minutes = parseInt(parts[0], 10);
-    const seconds = parseInt(parts[1], 10);
-    return minutes * 60 + seconds;
+    return timeStr.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
 }
 
 // Convert seconds to time string (MM:SS)
 function secondsToTime(seconds) {
     const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
+    const secs = Math.floor(seconds % 60);
     return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
@@ -775,37 +2344,336 @@ function updateTimer() {
         const total = secondsToTime(audioDuration);
         timerText.textContent = `${elapsed}/${total}`;
     }
+    updateScrubber();
+    updateSongListProgress();
 }
 
-// Update scroll text based on current elapsed time
-function updateScrollText() {
-    if (songs.length === 0) return;
+// Parse LRC lyrics into [{ time, text }] sorted by time (seconds from the start of the track)
+function parseLrc(text) {
+    const lines = [];
+    let offset = 0; // [offset:+/-ms] shifts every timestamp
+    
+    for (let rawLine of text.split(/\r?\n/)) {
+        const offsetTag = /^\[offset:\s*([+-]?\d+)\s*\]/i.exec(rawLine.trim());
+        if (offsetTag) {
+            offset = parseInt(offsetTag[1], 10) / 1000;
+            continue;
+        }
+        
+        // A line can have several timestamps: [00:12.00][01:30.50]text
+        const timeTag = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+        const times = [];
+        let lastIndex = 0;
+        let match;
+        while ((match = timeTag.exec(rawLine)) !== null && match.index === lastIndex) {
+            times.push(parseInt(match[1], 10) * 60 + parseFloat(match[2].replace(':', '.')));
+            lastIndex = timeTag.lastIndex;
+        }
+        
+        const lyric = rawLine.slice(lastIndex).trim();
+        for (let time of times) {
+            lines.push({ time, text: lyric });
+        }
+    }
     
-    // Find the current song based on elapsed time and cumulative times
-    let currentSong = null;
-    let currentIndex = 0;
+    // LRC offsets are positive when lyrics should show earlier
+    return lines
+        .map(line => ({ time: Math.max(0, line.time - offset), text: line.text }))
+        .sort((a, b) => a.time - b.time);
+}
+
+// Fetch and parse a song's LRC file once (songs without one get no lyrics)
+function loadLyrics(index) {
+    const song = songs[index];
+    if (!song || !song.lyrics || songLyrics.has(index)) return;
+    
+    songLyrics.set(index, []); // Nothing to show until it loads
+    fetch(song.lyrics)
+        .then(response => response.ok ? response.text() : '')
+        .then(text => {
+            songLyrics.set(index, parseLrc(text));
+            updateLyrics();
+        })
+        .catch(error => {
+            console.error(`Error loading lyrics for ${song.title}:`, error);
+        });
+}
+
+// Show the lyric line for the current position in the current track
+function updateLyrics() {
+    const lyricsLine = document.getElementById('lyricsLine');
+    if (!lyricsLine) return;
+    
+    loadLyrics(currentSongIndex);
+    
+    const lines = songLyrics.get(currentSongIndex) || [];
+    const timeInSong = backgroundAudio
+        ? backgroundAudio.currentTime
+        : elapsedTime - (cumulativeTimes[currentSongIndex] || 0);
+    
+    // Latest line whose timestamp has passed
+    let text = '';
+    if (hasEverStarted) {
+        for (let line of lines) {
+            if (line.time > timeInSong) break;
+            text = line.text;
+        }
+    }
+    
+    if (lyricsLine.textContent !== text) {
+        lyricsLine.textContent = text;
+    }
+    lyricsLine.classList.toggle('visible', text !== '');
+}
+
+// Read a shared position from the URL: #t=pimenta&at=2:13 (or ?t=...&at=...)
+// t is a song title or number, at is the time within that song (or within the album without t)
+// Returns the album time in seconds, or null when the URL has no valid position
+function parseDeepLink() {
+    const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const queryParams = new URLSearchParams(window.location.search);
+    const params = hashParams.has('t') || hashParams.has('at') ? hashParams : queryParams;
+    
+    const track = params.get('t');
+    const at = params.get('at');
+    if (!track && !at) return null;
+    
+    const offset = at ? parseTimeValue(at) : 0;
+    if (offset === undefined || offset === null) return null;
+    
+    if (!track) {
+        return Math.min(offset, audioDuration);
+    }
+    
+    // Match by title first, then by song number (1-based)
+    let index = songs.findIndex(song => song.title.toLowerCase() === track.trim().toLowerCase());
+    if (index === -1 && /^\d+$/.test(track.trim())) {
+        index = parseInt(track, 10) - 1;
+    }
+    if (!songs[index]) {
+        console.error(`Song from link not found: ${track}`);
+        return null;
+    }
     
+    return cumulativeTimes[index] + Math.min(offset, songDurations[index]);
+}
+
+// Remember a shared link's position until the user starts playback
+function applyDeepLink() {
+    const time = parseDeepLink();
+    if (time === null) return;
+    
+    if (gameStarted) {
+        seekToSong(time);
+        return;
+    }
+    
+    // Preview the position in the timer; the seek itself waits for a user gesture
+    pendingDeepLinkTime = time;
+    elapsedTime = time;
+    updateTimer();
+}
+
+// Point the address bar at the current song (and exact position when paused)
+function updateShareableUrl(includePosition) {
+    const song = songs[currentSongIndex];
+    if (!song || !hasEverStarted || pendingDeepLinkTime !== null) return;
+    
+    const params = new URLSearchParams();
+    params.set('t', song.title);
+    if (includePosition) {
+        params.set('at', secondsToTime(Math.max(0, elapsedTime - cumulativeTimes[currentSongIndex])));
+    }
+    
+    const url = new URL(window.location.href);
+    url.searchParams.delete('t');
+    url.searchParams.delete('at');
+    url.hash = params.toString();
+    history.replaceState(null, '', url.toString());
+}
+
+// Remove the song/position from the address bar
+function clearShareableUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('t');
+    url.searchParams.delete('at');
+    url.hash = '';
+    history.replaceState(null, '', url.toString());
+}
+
+// Index of the song playing at a given album time (-1 if no song is available)
+// Songs can be out of order on the timeline (shuffle), so each one is checked by its own range
+function getSongIndexAtTime(time) {
     for (let i = 0; i < songs.length; i++) {
         const songStart = cumulativeTimes[i];
-        const songEnd = i < songs.length - 1 ? cumulativeTimes[i + 1] : audioDuration;
-        
-        if (elapsedTime >= songStart && elapsedTime < songEnd) {
-            currentSong = songs[i];
-            currentIndex = i;
-            break;
+        const songEnd = songStart + songDurations[i];
+        if (time >= songStart && time < songEnd) {
+            return i;
         }
     }
     
-    // If no song matches, use the last song or first song
-    if (!currentSong) {
-        if (elapsedTime >= audioDuration) {
-            currentSong = songs[songs.length - 1];
-            currentIndex = songs.length - 1;
+    // Before the start or past the end: first or last available song in play order
+    const availableIndexes = playOrder.filter(index => songs[index] && songs[index].available);
+    if (availableIndexes.length === 0) return -1;
+    return time >= audioDuration ? availableIndexes[availableIndexes.length - 1] : availableIndexes[0];
+}
+
+// Album time under a pointer position on the scrubber
+function scrubberTimeAtPointer(event) {
+    const track = document.querySelector('#albumScrubber .scrubber-track');
+    if (!track || audioDuration <= 0) return 0;
+    
+    const rect = track.getBoundingClientRect();
+    const ratio = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    return ratio * audioDuration;
+}
+
+// Redraw the scrubber progress, track boundaries and slider values
+function updateScrubber() {
+    const scrubber = document.getElementById('albumScrubber');
+    const progress = document.getElementById('scrubberProgress');
+    if (!scrubber || !progress) return;
+    
+    // While dragging, show where the user is dragging to instead of the playback position
+    const time = scrubberDragTime !== null ? scrubberDragTime : elapsedTime;
+    const ratio = audioDuration > 0 ? Math.min(time / audioDuration, 1) : 0;
+    progress.style.width = `${ratio * 100}%`;
+    
+    scrubber.setAttribute('aria-valuemax', String(Math.floor(audioDuration)));
+    scrubber.setAttribute('aria-valuenow', String(Math.floor(time)));
+    scrubber.setAttribute('aria-valuetext', `${secondsToTime(time)} of ${secondsToTime(audioDuration)}`);
+    
+    // Only rebuild the track boundary markers when the timeline changes
+    const markersKey = `${cumulativeTimes.join(',')}/${audioDuration}`;
+    if (markersKey !== scrubberMarkersKey) {
+        scrubberMarkersKey = markersKey;
+        renderScrubberMarkers();
+    }
+}
+
+// Draw a tick at the start of every song (except the one opening the album)
+function renderScrubberMarkers() {
+    const markers = document.getElementById('scrubberMarkers');
+    if (!markers) return;
+    
+    markers.innerHTML = '';
+    if (audioDuration <= 0) return;
+    
+    for (let i = 0; i < songs.length; i++) {
+        if (!songs[i].available || cumulativeTimes[i] <= 0) continue;
+        const marker = document.createElement('div');
+        marker.className = 'scrubber-marker';
+        marker.style.left = `${(cumulativeTimes[i] / audioDuration) * 100}%`;
+        markers.appendChild(marker);
+    }
+}
+
+// Show the time and song title under the pointer
+function showScrubberTooltip(event, time) {
+    const scrubber = document.getElementById('albumScrubber');
+    const tooltip = document.getElementById('scrubberTooltip');
+    if (!scrubber || !tooltip || audioDuration <= 0) return;
+    
+    const song = songs[getSongIndexAtTime(time)];
+    tooltip.textContent = song ? `${secondsToTime(time)} ${song.title}` : secondsToTime(time);
+    
+    const rect = scrubber.getBoundingClientRect();
+    const scale = scrubber.offsetWidth > 0 ? rect.width / scrubber.offsetWidth : 1; // body.mobile is scaled
+    tooltip.style.left = `${(event.clientX - rect.left) / scale}px`;
+    tooltip.classList.add('visible');
+}
+
+function hideScrubberTooltip() {
+    const tooltip = document.getElementById('scrubberTooltip');
+    if (tooltip) {
+        tooltip.classList.remove('visible');
+    }
+}
+
+// Set up dragging, hovering and keyboard control of the album scrubber
+function initScrubber() {
+    const scrubber = document.getElementById('albumScrubber');
+    if (!scrubber) return;
+    
+    scrubber.addEventListener('pointerdown', (event) => {
+        if (audioDuration <= 0) return;
+        scrubber.setPointerCapture(event.pointerId);
+        scrubberDragTime = scrubberTimeAtPointer(event);
+        showScrubberTooltip(event, scrubberDragTime);
+        updateScrubber();
+        event.preventDefault();
+        event.stopPropagation();
+    });
+    
+    scrubber.addEventListener('pointermove', (event) => {
+        const time = scrubberTimeAtPointer(event);
+        if (scrubberDragTime !== null) {
+            scrubberDragTime = time;
+            updateScrubber();
+        }
+        showScrubberTooltip(event, time);
+    });
+    
+    scrubber.addEventListener('pointerup', (event) => {
+        if (scrubberDragTime === null) return;
+        const time = scrubberTimeAtPointer(event);
+        scrubberDragTime = null;
+        if (event.pointerType !== 'mouse') {
+            hideScrubberTooltip();
+        }
+        seekToSong(time, gameStarted);
+    });
+    
+    scrubber.addEventListener('pointercancel', () => {
+        scrubberDragTime = null;
+        hideScrubberTooltip();
+        updateScrubber();
+    });
+    
+    scrubber.addEventListener('pointerleave', () => {
+        if (scrubberDragTime === null) {
+            hideScrubberTooltip();
+        }
+    });
+    
+    // Don't let scrubber clicks toggle play/pause on the message box
+    scrubber.addEventListener('click', (event) => {
+        event.stopPropagation();
+    });
+    
+    // Arrow keys seek 5s, Page Up/Down 30s, Home/End jump to the album start/end
+    scrubber.addEventListener('keydown', (event) => {
+        const steps = {
+            ArrowLeft: -5,
+            ArrowDown: -5,
+            ArrowRight: 5,
+            ArrowUp: 5,
+            PageDown: -30,
+            PageUp: 30
+        };
+        
+        if (event.key in steps) {
+            seekBy(steps[event.key]);
+        } else if (event.key === 'Home') {
+            seekToSong(0, gameStarted);
+        } else if (event.key === 'End') {
+            seekBy(audioDuration);
         } else {
-            currentSong = songs[0];
-            currentIndex = 0;
+            return;
         }
-    }
+        event.preventDefault();
+        event.stopPropagation();
+    });
+}
+
+// Update scroll text based on current elapsed time
+function updateScrollText() {
+    if (songs.length === 0) return;
+    
+    // Find the current song based on elapsed time and cumulative times
+    const currentIndex = getSongIndexAtTime(elapsedTime);
+    if (currentIndex === -1) return;
+    const currentSong = songs[currentIndex];
     
     // Check if the current song has changed
     if (currentSong) {
@@ -816,12 +2684,26 @@ function updateScrollText() {
             // Update scroll to show current song
             updateScrollWithCurrentSong(currentSong.title);
             lastCurrentSong = { ...currentSong, index: currentIndex };
+            
+            // Show the new song in the OS media controls
+            updateMediaMetadata(currentSong);
+            updateMediaPositionState();
+            
+            // Keep the address bar a shareable link to the current song
+            updateShareableUrl(false);
         }
     }
 }
 
 // Update scroll bar to display the current song
 function updateScrollWithCurrentSong(songTitle) {    
+    // The scroll bar is hidden from screen readers, so announce the song instead
+    announce(`now playing: ${songTitle}`);
+    showScrollTitle(songTitle);
+}
+
+// Fill the scroll bar with a song title
+function showScrollTitle(songTitle) {
     const scrollContent = document.getElementById('scrollContent');
     if (!scrollContent) return;
     
@@ -829,7 +2711,8 @@ function updateScrollWithCurrentSong(songTitle) {
     scrollContent.innerHTML = '';
     
     // Repeat the song title many times to fill the bar and extend beyond both sides
-    const repeatCount = 100; // Number of times to repeat the title
+    // (calm mode shows it once; the positioning below centers it in the bar either way)
+    const repeatCount = reducedMotion ? 1 : 100; // Number of times to repeat the title
     
     // Create repeated text with space separator
     const repeatedText = (songTitle + ' ').repeat(repeatCount);
@@ -857,56 +2740,360 @@ function updateScrollWithCurrentSong(songTitle) {
     setTimeout(() => {
         const textWidth = span.offsetWidth;
         const screenWidth = window.innerWidth;
-        // Center the text so it extends beyond both edges
+        // Center the text, so the repeated title extends beyond both edges
         scrollContent.style.left = `${(screenWidth - textWidth) / 2}px`;
     }, 10);
 }
 
-// Seek audio to a specific time (in seconds)
-function seekToSong(startTimeSeconds) {
-    if (songs.length === 0) return;
-    
-    // Find which song corresponds to this time
-    let targetSongIndex = 0;
-    let timeInSong = 0;
-    
-    for (let i = 0; i < songs.length; i++) {
-        const songStart = cumulativeTimes[i];
-        const songEnd = i < songs.length - 1 ? cumulativeTimes[i + 1] : audioDuration;
-        
-        if (startTimeSeconds >= songStart && startTimeSeconds < songEnd) {
-            targetSongIndex = i;
-            timeInSong = startTimeSeconds - songStart;
-            break;
-        }
+// Read a message out to screen readers (polite live region)
+function announce(message) {
+    const announcer = document.getElementById('announcer');
+    if (announcer) {
+        announcer.textContent = message;
+    }
+}
+
+// Seek audio to a specific time (in seconds)
+// autoplay = false moves the position without starting playback
+function seekToSong(startTimeSeconds, autoplay = true) {
+    if (songs.length === 0) return;
+    
+    // An explicit seek replaces any position from a shared link
+    pendingDeepLinkTime = null;
+    
+    // Find which song corresponds to this time
+    const targetSongIndex = Math.max(0, getSongIndexAtTime(startTimeSeconds));
+    const timeInSong = Math.max(0, Math.min(startTimeSeconds - cumulativeTimes[targetSongIndex], songDurations[targetSongIndex]));
+    
+    // Load and play the target song
+    loadAndPlaySong(targetSongIndex, timeInSong);
+    
+    // If game is not started, start it
+    if (!gameStarted) {
+        if (autoplay) {
+            handleMessageBoxClick();
+        }
+    } else {
+        // If audio is paused, resume it
+        if (backgroundAudio && backgroundAudio.paused) {
+            backgroundAudio.play().catch(error => {
+                console.error('Error playing audio:', error);
+            });
+        }
+    }
+    
+    // Update elapsed time and start time
+    elapsedTime = startTimeSeconds;
+    if (gameStarted) {
+        startTime = Date.now() - (startTimeSeconds * 1000);
+    }
+    
+    // Update timer display
+    updateTimer();
+    
+    // Update scroll text to reflect the new current song
+    updateScrollText();
+    updateLyrics();
+    
+    updateMediaPositionState();
+    updateShareableUrl(!gameStarted);
+}
+
+// Song indexes in the order they'll play
+// In shuffle mode firstIndex stays first (-1 shuffles everything)
+function buildPlayOrder(firstIndex) {
+    const order = songs.map((song, index) => index);
+    if (playbackMode !== 'shuffle') return order;
+    
+    const rest = order.filter(index => index !== firstIndex);
+    for (let i = rest.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+    return songs[firstIndex] ? [firstIndex, ...rest] : rest;
+}
+
+// What the playback engine should do when a song ends in the current mode
+function getPlaybackRules() {
+    let loop = 'none';
+    if (playbackMode === 'repeat-album') {
+        loop = 'album';
+    } else if (playbackMode === 'repeat-track') {
+        loop = 'track';
+    }
+    return {
+        order: playOrder,
+        loop,
+        stopAfterTrack: playbackMode === 'stop-after-track'
+    };
+}
+
+function applyPlaybackRules() {
+    if (backgroundAudio) {
+        backgroundAudio.setPlaybackRules(getPlaybackRules());
+    }
+}
+
+// Switch playback mode, keeping the current song and the position within it
+function setPlaybackMode(mode) {
+    if (!PLAYBACK_MODES.some(playbackModeOption => playbackModeOption.id === mode)) return;
+    
+    const shuffleChanged = (mode === 'shuffle') !== (playbackMode === 'shuffle');
+    const timeInSong = Math.max(0, elapsedTime - (cumulativeTimes[currentSongIndex] || 0));
+    playbackMode = mode;
+    
+    try {
+        localStorage.setItem(PLAYBACK_MODE_STORAGE_KEY, mode);
+    } catch (error) {
+        console.error('Error saving playback mode:', error);
+    }
+    
+    // Shuffle lays the timeline out in a new order starting from the current song
+    if (shuffleChanged) {
+        playOrder = buildPlayOrder(currentSongIndex);
+        recalculateTimeline();
+        if (hasEverStarted) {
+            elapsedTime = cumulativeTimes[currentSongIndex] + timeInSong;
+        } else if (pendingDeepLinkTime !== null) {
+            // A shared link's album time depends on the order too
+            pendingDeepLinkTime = parseDeepLink();
+            elapsedTime = pendingDeepLinkTime !== null ? pendingDeepLinkTime : 0;
+        }
+    }
+    
+    applyPlaybackRules();
+    updatePlaybackModeButton();
+    updateTimer();
+    updateMediaPositionState();
+}
+
+// Read the saved playback mode ('normal' if none)
+function loadPlaybackMode() {
+    try {
+        const mode = localStorage.getItem(PLAYBACK_MODE_STORAGE_KEY);
+        if (PLAYBACK_MODES.some(playbackModeOption => playbackModeOption.id === mode)) {
+            return mode;
+        }
+    } catch (error) {
+        console.error('Error reading playback mode:', error);
+    }
+    return 'normal';
+}
+
+// Show the active mode on the mode button
+function updatePlaybackModeButton() {
+    const button = document.getElementById('playbackModeButton');
+    const mode = PLAYBACK_MODES.find(playbackModeOption => playbackModeOption.id === playbackMode);
+    if (!button || !mode) return;
+    
+    button.textContent = mode.text;
+    button.title = mode.label;
+    button.setAttribute('aria-label', `playback mode: ${mode.label}`);
+}
+
+// Clicking (or Enter/Space on) the mode button cycles through the modes
+function initPlaybackModeButton() {
+    const button = document.getElementById('playbackModeButton');
+    if (!button) return;
+    
+    const cycleMode = () => {
+        const currentIndex = PLAYBACK_MODES.findIndex(playbackModeOption => playbackModeOption.id === playbackMode);
+        setPlaybackMode(PLAYBACK_MODES[(currentIndex + 1) % PLAYBACK_MODES.length].id);
+    };
+    
+    button.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't toggle play/pause
+        cycleMode();
+    });
+    
+    updatePlaybackModeButton();
+}
+
+// Whether the system asks for reduced motion
+function systemPrefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+// Read the calm mode choice made by hand (null to follow the system setting)
+function loadReducedMotionChoice() {
+    try {
+        const choice = localStorage.getItem(REDUCED_MOTION_STORAGE_KEY);
+        if (choice === 'on' || choice === 'off') {
+            return choice === 'on';
+        }
+    } catch (error) {
+        console.error('Error reading calm mode setting:', error);
+    }
+    return null;
+}
+
+// Turn calm mode on or off: slow timed animation without walking or beats, fewer and fading
+// characters, and a still title in the scroll bar
+function setReducedMotion(enabled) {
+    reducedMotion = enabled;
+    document.body.classList.toggle('reduced-motion', enabled);
+    
+    // Walkers stop where they are
+    if (enabled) {
+        const now = animationClock.now();
+        for (let character of characters) {
+            if (character.isWalking()) {
+                character.arrive(now);
+            }
+        }
+    }
+    
+    // Spawn at the new rate
+    if (nextSpawnTime !== null) {
+        scheduleNextSpawn();
+    }
+    
+    if (lastCurrentSong) {
+        showScrollTitle(lastCurrentSong.title);
+    }
+    updateReducedMotionButton();
+    invalidateCanvas();
+}
+
+// Switch calm mode by hand (remembered until it matches the system setting again)
+function toggleReducedMotion() {
+    const enabled = !reducedMotion;
+    
+    try {
+        if (enabled === systemPrefersReducedMotion()) {
+            localStorage.removeItem(REDUCED_MOTION_STORAGE_KEY);
+        } else {
+            localStorage.setItem(REDUCED_MOTION_STORAGE_KEY, enabled ? 'on' : 'off');
+        }
+    } catch (error) {
+        console.error('Error saving calm mode setting:', error);
+    }
+    
+    setReducedMotion(enabled);
+    announce(enabled ? 'calm mode on' : 'calm mode off');
+}
+
+// Show whether calm mode is on on the calm button
+function updateReducedMotionButton() {
+    const button = document.getElementById('calmModeButton');
+    if (button) {
+        button.setAttribute('aria-pressed', String(reducedMotion));
+    }
+}
+
+// Start in calm mode if chosen before or asked for by the system, and follow system changes
+function initReducedMotion() {
+    const choice = loadReducedMotionChoice();
+    setReducedMotion(choice !== null ? choice : systemPrefersReducedMotion());
+    
+    if (window.matchMedia) {
+        window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', (event) => {
+            if (loadReducedMotionChoice() === null) {
+                setReducedMotion(event.matches);
+            }
+        });
+    }
+    
+    const button = document.getElementById('calmModeButton');
+    if (button) {
+        button.addEventListener('click', (event) => {
+            event.stopPropagation(); // Don't toggle play/pause
+            toggleReducedMotion();
+        });
+    }
+}
+
+// Stop-after-track mode: pause when a song ends, ready to play the next one
+function stopAfterCurrentSong() {
+    const nextIndex = findNextAvailableSong(currentSongIndex);
+    handleMessageBoxClick(); // Pause
+    seekToSong(cumulativeTimes[nextIndex], false);
+}
+
+// Index of the next available song after the given one in play order (-1 if none)
+function findNextAvailableSong(index) {
+    for (let position = playOrder.indexOf(index) + 1; position < playOrder.length; position++) {
+        if (songs[playOrder[position]].available) return playOrder[position];
+    }
+    return -1;
+}
+
+// Index of the previous available song before the given one in play order (-1 if none)
+function findPreviousAvailableSong(index) {
+    for (let position = playOrder.indexOf(index) - 1; position >= 0; position--) {
+        if (songs[playOrder[position]].available) return playOrder[position];
+    }
+    return -1;
+}
+
+// Jump to the start of the next song (keeps the current play/pause state)
+function skipToNextSong() {
+    const nextIndex = findNextAvailableSong(currentSongIndex);
+    if (nextIndex === -1) return;
+    seekToSong(cumulativeTimes[nextIndex], gameStarted);
+}
+
+// Restart the current song, or jump to the previous one if we're near its start
+function skipToPreviousSong() {
+    const timeInSong = elapsedTime - (cumulativeTimes[currentSongIndex] || 0);
+    const previousIndex = findPreviousAvailableSong(currentSongIndex);
+    const targetIndex = timeInSong > 3 || previousIndex === -1 ? currentSongIndex : previousIndex;
+    seekToSong(cumulativeTimes[targetIndex] || 0, gameStarted);
+}
+
+// Move the album position by a number of seconds (negative = backwards)
+function seekBy(offsetSeconds) {
+    const target = Math.max(0, Math.min(elapsedTime + offsetSeconds, audioDuration - 0.5));
+    seekToSong(target, gameStarted);
+}
+
+// Create the playback engine and keep the album timeline in sync with it
+function createAudioEngine() {
+    const engine = new GaplessPlayer(songs.map(song => ({
+        filename: song.filename,
+        start: song.start,
+        end: song.end
+    })));
+    engine.volume = 1.0;
+    engine.setPlaybackRules(getPlaybackRules());
+    
+    // Characters animate to the music when it can be analysed (random timing otherwise)
+    try {
+        audioAnalysis = new AudioAnalysis(engine.analyser);
+    } catch (error) {
+        console.error('Audio analysis unavailable:', error);
+        audioAnalysis = null;
     }
     
-    // Load and play the target song
-    loadAndPlaySong(targetSongIndex, timeInSong);
+    // Track changes happen on the engine's clock (gapless, no 'ended' handoff)
+    engine.addEventListener('trackchange', (event) => {
+        currentSongIndex = event.detail.index;
+    });
     
-    // If game is not started, start it
-    if (!gameStarted) {
-        handleMessageBoxClick();
-    } else {
-        // If audio is paused, resume it
-        if (backgroundAudio && backgroundAudio.paused) {
-            backgroundAudio.play().catch(error => {
-                console.error('Error playing audio:', error);
-            });
-        }
-    }
+    // Tracks that fail to decode mid-playback are skipped by the engine
+    engine.addEventListener('trackerror', (event) => {
+        markSongUnavailable(event.detail.index);
+    });
     
-    // Update elapsed time and start time
-    elapsedTime = startTimeSeconds;
-    if (gameStarted) {
-        startTime = Date.now() - (startTimeSeconds * 1000);
-    }
+    // Tracks already known to be missing are never scheduled
+    songs.forEach((song, index) => {
+        if (!song.available) {
+            engine.markUnavailable(index);
+        }
+    });
     
-    // Update timer display
-    updateTimer();
+    // Replace metadata estimates with exact decoded durations
+    engine.addEventListener('durationchange', (event) => {
+        const { index, duration } = event.detail;
+        if (songDurations[index] !== duration) {
+            songDurations[index] = duration;
+            recalculateTimeline();
+            updateTimer();
+            updateMediaPositionState();
+        }
+    });
     
-    // Update scroll text to reflect the new current song
-    updateScrollText();
+    return engine;
 }
 
 // Load and play a specific song
@@ -914,36 +3101,13 @@ function loadAndPlaySong(songIndex, startTimeInSong = 0) {
     if (songIndex < 0 || songIndex >= songs.length) return;
     
     currentSongIndex = songIndex;
-    const song = songs[songIndex];
     
-    // Create new audio element for this song
-    if (backgroundAudio) {
-        backgroundAudio.pause();
-        backgroundAudio = null;
-    }
-    
-    backgroundAudio = new Audio(song.filename);
-    backgroundAudio.volume = 1.0;
-    backgroundAudio.currentTime = startTimeInSong;
-    
-    // When this song ends, play the next one
-    backgroundAudio.addEventListener('ended', () => {
-        if (currentSongIndex < songs.length - 1) {
-            // Play next song
-            loadAndPlaySong(currentSongIndex + 1, 0);
-            if (gameStarted && !backgroundAudio.paused) {
-                backgroundAudio.play().catch(error => {
-                    console.error('Error playing next song:', error);
-                });
-            }
-        } else {
-            // All songs finished
-            if (backgroundAudio) {
-                backgroundAudio.pause();
-            }
-            // This will be handled by the timer reaching the end
-        }
-    });
+    if (!backgroundAudio) {
+        backgroundAudio = createAudioEngine();
+    }
+    
+    // Following songs are queued by the engine and start exactly when this one ends
+    backgroundAudio.seek(songIndex, startTimeInSong);
     
     // If game is started, play immediately
     if (gameStarted) {
@@ -953,22 +3117,29 @@ function loadAndPlaySong(songIndex, startTimeInSong = 0) {
     }
 }
 
-// Handle message box click to start/stop the game
-function handleMessageBoxClick() {
+// Show ▶ or ⏸ on the play/pause button and label it for screen readers
+function updatePlayButton() {
     const playStopIcon = document.getElementById('playStopIcon');
+    if (!playStopIcon) return;
     
+    const isMobile = window.innerWidth <= 768 || /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    playStopIcon.textContent = gameStarted ? (isMobile ? '||' : '⏸') : '▶';
+    playStopIcon.setAttribute('aria-label', gameStarted ? 'pause' : 'play');
+}
+
+// Handle message box click to start/stop the game
+function handleMessageBoxClick() {
     if (!gameStarted) {
         // Start the game
         gameStarted = true;
+        updateAnimationClock();
+        hideResumePrompt();
+        scheduleRender();
         
         // Cursor will be updated by mousemove handler
         
         // Update icon to stop
-        if (playStopIcon) {
-            const isMobile = window.innerWidth <= 768 || /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-            playStopIcon.textContent = isMobile ? '||' : '⏸';
-            playStopIcon.innerHTML = isMobile ? '||' : '⏸';
-        }
+        updatePlayButton();
         
         // Resume all scroll text animations
         const scrollContent = document.getElementById('scrollContent');
@@ -982,48 +3153,17 @@ function handleMessageBoxClick() {
         // Load first song if not already loaded, or resume current song
         if (!backgroundAudio && songs.length > 0) {
             // Calculate which song to play based on elapsed time
-            let targetSongIndex = 0;
-            let timeInSong = 0;
-            
-            if (elapsedTime > 0) {
-                for (let i = 0; i < songs.length; i++) {
-                    const songStart = cumulativeTimes[i];
-                    const songEnd = i < songs.length - 1 ? cumulativeTimes[i + 1] : audioDuration;
-                    
-                    if (elapsedTime >= songStart && elapsedTime < songEnd) {
-                        targetSongIndex = i;
-                        timeInSong = elapsedTime - songStart;
-                        break;
-                    }
-                }
-            }
+            const targetSongIndex = Math.max(0, getSongIndexAtTime(elapsedTime));
+            const timeInSong = Math.max(0, elapsedTime - cumulativeTimes[targetSongIndex]);
             
             loadAndPlaySong(targetSongIndex, timeInSong);
         }
         
         // Start audio playback
         if (backgroundAudio) {
-            console.log('Attempting to play audio, readyState:', backgroundAudio.readyState);
-            const playPromise = backgroundAudio.play();
-            if (playPromise !== undefined) {
-                playPromise
-                    .then(() => {
-                        console.log('Audio playing successfully');
-                    })
-                    .catch(error => {
-                        console.error('Error playing audio:', error);
-                        console.error('Error name:', error.name);
-                        console.error('Error message:', error.message);
-                        // If audio not ready, wait for it
-                        if (backgroundAudio.readyState < 3) {
-                            console.log('Waiting for audio to be ready...');
-                            backgroundAudio.addEventListener('canplaythrough', () => {
-                                console.log('Audio ready, trying to play again...');
-                                backgroundAudio.play().catch(e => console.error('Still failed:', e));
-                            }, { once: true });
-                        }
-                    });
-            }
+            backgroundAudio.play().catch(error => {
+                console.error('Error playing audio:', error);
+            });
         } else {
             console.error('backgroundAudio is null!');
         }
@@ -1035,8 +3175,7 @@ function handleMessageBoxClick() {
         
         // Start song timer
         if (!hasEverStarted) {
-            // First time starting - reset to 0 and clear displayed songs
-            elapsedTime = 0;
+            // First time starting - clear displayed songs
             hasEverStarted = true;
             displayedSongs.clear();
             lastCurrentSong = null;
@@ -1047,32 +3186,63 @@ function handleMessageBoxClick() {
                 scrollContent.innerHTML = '';
             }
             
-            // Start timer from 0 when music starts for the first time
-            startTime = Date.now();
+            // Start from where the engine was put before this first play (the scrubber or the
+            // resume prompt), so the first frame already shows the right song; 0:00 otherwise
+            // (a shared link's position is applied below)
+            if (backgroundAudio && pendingDeepLinkTime === null) {
+                currentSongIndex = backgroundAudio.currentIndex;
+                elapsedTime = (cumulativeTimes[currentSongIndex] || 0) + backgroundAudio.currentTime;
+            } else {
+                elapsedTime = 0;
+            }
+            startTime = Date.now() - (elapsedTime * 1000);
         } else {
             // Resume: calculate startTime so timer continues from current elapsedTime
             startTime = Date.now() - (elapsedTime * 1000);
         }
         
+        // A shared link's position is applied on this first user gesture (autoplay rules)
+        if (pendingDeepLinkTime !== null) {
+            elapsedTime = pendingDeepLinkTime;
+            pendingDeepLinkTime = null;
+            const songIndex = Math.max(0, getSongIndexAtTime(elapsedTime));
+            loadAndPlaySong(songIndex, Math.max(0, elapsedTime - cumulativeTimes[songIndex]));
+            startTime = Date.now() - (elapsedTime * 1000);
+        }
+        
         updateTimer(); // Update timer display
+        updateMediaPositionState();
         
         songTimer = setInterval(() => {
-            // Calculate elapsed time based on current song position
-            if (backgroundAudio && currentSongIndex < songs.length) {
-                const timeInCurrentSong = backgroundAudio.currentTime || 0;
-                elapsedTime = Math.floor(cumulativeTimes[currentSongIndex] + timeInCurrentSong);
+            // Calculate elapsed time from the playback engine's clock
+            if (backgroundAudio) {
+                const timeInCurrentSong = backgroundAudio.currentTime;
+                currentSongIndex = backgroundAudio.currentIndex;
+                elapsedTime = cumulativeTimes[currentSongIndex] + timeInCurrentSong;
             } else {
                 elapsedTime = Math.floor((Date.now() - startTime) / 1000);
             }
             
+            // The engine stops by itself when nothing follows the current song
+            // (end of the album, or end of each song in stop-after-track mode)
+            const playbackEnded = backgroundAudio
+                ? backgroundAudio.paused
+                : elapsedTime >= audioDuration && audioDuration > 0;
+            
+            if (playbackEnded && playbackMode === 'stop-after-track' && findNextAvailableSong(currentSongIndex) !== -1) {
+                stopAfterCurrentSong();
+                return;
+            }
+            
             // Check if timer has reached the end
-            if (elapsedTime >= audioDuration && audioDuration > 0) {
+            if (playbackEnded) {
                 // Stop the timer and keep it at the end
                 elapsedTime = audioDuration;
                 updateTimer();
                 
                 // Stop the game
                 gameStarted = false;
+                updateAnimationClock();
                 
                 // Stop the timer interval
                 if (songTimer) {
@@ -1086,11 +3256,8 @@ function handleMessageBoxClick() {
                 }
                 
                 // Update play/stop icon to play
-                const playStopIcon = document.getElementById('playStopIcon');
-                if (playStopIcon) {
-                    playStopIcon.textContent = '▶';
-                    playStopIcon.innerHTML = '▶';
-                }
+                updatePlayButton();
+                updateMediaPositionState();
                 
                 // Wait a moment at the end, then reset everything
                 setTimeout(() => {
@@ -1102,34 +3269,27 @@ function handleMessageBoxClick() {
             
             updateScrollText();
             updateTimer(); // Update timer display
+            updateLyrics();
+            saveSession();
         }, 100); // Update every 100ms for smooth transitions
         
         // Initial scroll text update (this will add the first song)
         updateScrollText();
         
-        // Start spawning new characters with random intervals
-        function scheduleNextSpawn() {
-            // Calculate random interval: 25 seconds ± 3 seconds (22-28 seconds)
-            const randomOffset = (Math.random() * 6 - 3) * 1000; // -3000 to +3000 ms
-            const nextSpawnTime = CHARACTER_SPAWN_INTERVAL + randomOffset;
-            
-            spawnTimer = setTimeout(() => {
-                addCharacter();
-                if (gameStarted) {
-                    scheduleNextSpawn(); // Schedule next spawn
-                }
-            }, nextSpawnTime);
+        // Playing again: drop the paused position from the address bar (the link names the song)
+        updateShareableUrl(false);
+        
+        // Start spawning new characters with random intervals (a pause keeps the countdown)
+        if (nextSpawnTime === null) {
+            scheduleNextSpawn();
         }
-        scheduleNextSpawn();
     } else {
-        // Pause the game
+        // Pause the game (characters freeze with the animation clock)
         gameStarted = false;
+        updateAnimationClock();
         
         // Update icon to play
-        if (playStopIcon) {
-            playStopIcon.textContent = '▶';
-            playStopIcon.innerHTML = '▶';
-        }
+        updatePlayButton();
         
         // Pause all scroll text animations (but keep them visible and in place)
         const scrollContent = document.getElementById('scrollContent');
@@ -1150,12 +3310,12 @@ function handleMessageBoxClick() {
             clearInterval(songTimer);
             songTimer = null;
         }
+        updateMediaPositionState();
+        
+        // Paused: make the address bar link to this exact spot
+        updateShareableUrl(true);
+        saveSession(true);
         
-        // Stop spawning new characters
-        if (spawnTimer) {
-            clearTimeout(spawnTimer);
-            spawnTimer = null;
-        }
     }
 }
 
@@ -1165,62 +3325,434 @@ function initInfiniteScroll() {
     // No initialization needed
 }
 
-// Load and parse songs from songs.txt
+// Load the album: album.json manifest if present, songs.txt otherwise
 async function loadSongs() {
+    songs = [];
+    songDurations = [];
+    cumulativeTimes = [];
+    
     try {
-        const response = await fetch('album/songs.txt');
-        const text = await response.text();
-        const lines = text.split('\n').filter(line => line.trim());
-        
-        songs = [];
-        songDurations = [];
-        cumulativeTimes = [];
-        let cumulativeTime = 0;
-        
-        for (let line of lines) {
-            const title = line.trim();
-            if (title) {
-                const filename = `album/${title}.mp3`;
-                songs.push({ title, filename });
-                songDurations.push(0); // Will be set when audio loads
-                cumulativeTimes.push(cumulativeTime);
-                // cumulativeTime will be updated after we load durations
-            }
+        songs = await loadAlbumManifest();
+    } catch (manifestError) {
+        console.warn(`No usable ${ALBUM_MANIFEST} (${manifestError.message}), falling back to songs.txt`);
+        try {
+            songs = await loadSongsTxt();
+        } catch (error) {
+            console.error('Error loading songs.txt:', error);
         }
-        
-        // Load durations for all songs
-        await loadSongDurations();
-        
-        // Calculate cumulative times and total duration
-        cumulativeTime = 0;
-        for (let i = 0; i < songs.length; i++) {
-            cumulativeTimes[i] = cumulativeTime;
-            cumulativeTime += songDurations[i];
+    }
+    
+    songs.forEach(song => {
+        // Only when enabled, since every track without an LRC file would request one and get a 404
+        if (!song.lyrics && GUESS_LYRICS_FILES) {
+            song.lyrics = defaultLyricsFilename(song);
         }
-        audioDuration = cumulativeTime;
-        
+        if (song.cast && !CASTS[song.cast]) {
+            console.error(`Unknown cast "${song.cast}" for ${song.title}, using the default cast`);
+        }
+    });
+    
+    songDurations = songs.map(() => 0); // Will be set when audio loads
+    cumulativeTimes = songs.map(() => 0);
+    playOrder = buildPlayOrder(-1);
+    
+    // Load durations for all songs
+    await loadSongDurations();
+    
+    // Calculate cumulative times and total duration
+    recalculateTimeline();
+}
+
+// Default LRC file for a song: next to its own audio file, or named after the title for chapters
+function defaultLyricsFilename(song) {
+    if (song.end === null && song.filename !== MASTER_FILENAME) {
+        return song.filename.replace(/\.[^./]+$/, '') + '.lrc';
+    }
+    return `${ALBUM_DIRECTORY}${song.title}.lrc`;
+}
+
+// Load album info and tracks from the JSON manifest
+async function loadAlbumManifest() {
+    const response = await fetch(ALBUM_MANIFEST);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const manifest = await response.json();
+    
+    if (!Array.isArray(manifest.tracks)) {
+        throw new Error('"tracks" must be an array');
+    }
+    
+    albumInfo = {
+        title: manifest.title || albumInfo.title,
+        artist: manifest.artist || albumInfo.artist,
+        displayArtist: manifest.displayArtist || manifest.artist || albumInfo.displayArtist,
+        artwork: normalizeArtwork(manifest.artwork)
+    };
+    
+    const tracks = [];
+    manifest.tracks.forEach((track, index) => {
+        const song = parseManifestTrack(track);
+        if (song) {
+            tracks.push(song);
+        } else {
+            console.error(`Skipping invalid track #${index + 1} in ${ALBUM_MANIFEST}:`, track);
+        }
+    });
+    return tracks;
+}
+
+// Convert a manifest track entry into a song object (null if invalid)
+function parseManifestTrack(track) {
+    if (!track || typeof track.title !== 'string' || !track.title.trim()) return null;
+    
+    const title = track.title.trim();
+    const start = parseTimeValue(track.start);
+    const end = parseTimeValue(track.end);
+    if (start === undefined || end === undefined || (end !== null && end <= (start || 0))) return null;
+    
+    // Chapters (with start/end) default to the master file, other tracks to album/<title>.mp3
+    let filename = `${ALBUM_DIRECTORY}${title}.mp3`;
+    if (track.file) {
+        filename = `${ALBUM_DIRECTORY}${track.file}`;
+    } else if (end !== null) {
+        filename = MASTER_FILENAME;
+    }
+    
+    return {
+        title,
+        filename,
+        start: start || 0,
+        end,
+        duration: typeof track.duration === 'number' && track.duration > 0 ? track.duration : null,
+        lyrics: track.lyrics ? `${ALBUM_DIRECTORY}${track.lyrics}` : null,
+        credits: Array.isArray(track.credits) ? track.credits.join(', ') : (track.credits || ''),
+        cast: typeof track.cast === 'string' && track.cast ? track.cast : null,
+        available: true
+    };
+}
+
+// Manifest times can be seconds or "M:SS" strings (null if absent, undefined if invalid)
+function parseTimeValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return value >= 0 ? value : undefined;
+    if (typeof value === 'string' && /^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) {
+        return timeToSeconds(value.trim());
+    }
+    return undefined;
+}
+
+// Artwork can be a single image path or a list of { src, sizes, type }
+function normalizeArtwork(artwork) {
+    if (!artwork) return [];
+    const images = Array.isArray(artwork) ? artwork : [artwork];
+    return images
+        .map(image => typeof image === 'string' ? { src: image } : image)
+        .filter(image => image && image.src)
+        .map(image => ({ ...image, src: `${ALBUM_DIRECTORY}${image.src}` }));
+}
+
+// Load and parse songs from songs.txt
+async function loadSongsTxt() {
+    const response = await fetch('album/songs.txt');
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const text = await response.text();
+    const lines = text.split('\n').filter(line => line.trim());
+    
+    return lines.map(parseSongLine).filter(song => song);
+}
+
+// Show album title and artist on the page and in the OS media controls
+function applyAlbumInfo() {
+    const mainText = document.querySelector('#startMessage .main-text');
+    const authorText = document.querySelector('#startMessage .author-text');
+    if (mainText) {
+        mainText.textContent = albumInfo.title;
+    }
+    if (authorText) {
+        authorText.textContent = albumInfo.displayArtist;
+    }
+    document.title = albumInfo.title;
+    
+    updateMediaMetadata(null);
+}
+
+// Show the current song in the OS media controls (null = album only)
+function updateMediaMetadata(song) {
+    if (!navigator.mediaSession || typeof MediaMetadata === 'undefined') return;
+    
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: song ? song.title : albumInfo.title,
+        artist: albumInfo.artist,
+        album: albumInfo.title,
+        artwork: albumInfo.artwork
+    });
+}
+
+// Report the whole-album position and play state to the OS media controls
+function updateMediaPositionState() {
+    if (!navigator.mediaSession) return;
+    
+    navigator.mediaSession.playbackState = gameStarted ? 'playing' : 'paused';
+    
+    if (typeof navigator.mediaSession.setPositionState !== 'function' || !(audioDuration > 0)) return;
+    try {
+        navigator.mediaSession.setPositionState({
+            duration: audioDuration,
+            playbackRate: 1,
+            position: Math.max(0, Math.min(elapsedTime, audioDuration))
+        });
     } catch (error) {
-        console.error('Error loading songs.txt:', error);
+        console.error('Error updating media position state:', error);
+    }
+}
+
+// Connect OS media keys, lock-screen and headset controls to the player
+function setupMediaSessionHandlers() {
+    if (!navigator.mediaSession) return;
+    
+    const handlers = {
+        play: () => {
+            if (!gameStarted) {
+                handleMessageBoxClick();
+            }
+        },
+        pause: () => {
+            if (gameStarted) {
+                handleMessageBoxClick();
+            }
+        },
+        nexttrack: () => skipToNextSong(),
+        previoustrack: () => skipToPreviousSong(),
+        seekto: (details) => seekToSong(details.seekTime, gameStarted),
+        seekbackward: (details) => seekBy(-(details.seekOffset || 10)),
+        seekforward: (details) => seekBy(details.seekOffset || 10)
+    };
+    
+    // There's no way to ask which actions are supported: browsers throw a TypeError (or an older
+    // NotSupportedError) for the ones they don't know, so only those are skipped quietly
+    for (let action in handlers) {
+        try {
+            navigator.mediaSession.setActionHandler(action, handlers[action]);
+        } catch (error) {
+            if (!(error instanceof TypeError) && error.name !== 'NotSupportedError') {
+                console.error(`Error setting media session ${action} handler:`, error);
+            }
+        }
+    }
+}
+
+// Parse a songs.txt line
+// "title start-end" is a chapter of MASTER_FILENAME (e.g. "projetor 1:18-4:20"),
+// a bare "title" is its own file (album/<title>.mp3)
+// Either can end with "[cast]" to pick which characters spawn during it (e.g. "pimenta [band]")
+function parseSongLine(line) {
+    let trimmed = line.trim();
+    if (!trimmed) return null;
+    
+    let cast = null;
+    const castSuffix = /^(.+?)\s+\[([^\]]+)\]$/.exec(trimmed);
+    if (castSuffix) {
+        trimmed = castSuffix[1];
+        cast = castSuffix[2].trim();
+    }
+    
+    const timeRange = /^(.+?)\s+(\d+(?::\d{1,2}){1,2}(?:\.\d+)?)\s*-\s*(\d+(?::\d{1,2}){1,2}(?:\.\d+)?)$/.exec(trimmed);
+    if (timeRange) {
+        const start = timeToSeconds(timeRange[2]);
+        const end = timeToSeconds(timeRange[3]);
+        if (end > start) {
+            return { title: timeRange[1], filename: MASTER_FILENAME, start, end, duration: null, lyrics: null, credits: '', cast, available: true };
+        }
+        console.error(`Skipping songs.txt line (end before start): ${trimmed}`);
+        return null;
+    }
+    
+    return { title: trimmed, filename: `${ALBUM_DIRECTORY}${trimmed}.mp3`, start: 0, end: null, duration: null, lyrics: null, credits: '', cast, available: true };
+}
+
+// Recalculate cumulative start times and total album duration from songDurations
+// Songs are laid out in play order, so in shuffle mode the timer follows the shuffled album
+function recalculateTimeline() {
+    let cumulativeTime = 0;
+    for (let i of playOrder) {
+        cumulativeTimes[i] = cumulativeTime;
+        cumulativeTime += songDurations[i];
     }
+    audioDuration = cumulativeTime;
 }
 
-// Load duration for each song file
+// Load an estimated duration for each song file from its metadata
+// (replaced with the exact value once the playback engine decodes the track)
+// Songs whose file is missing or unreadable are marked unavailable
 async function loadSongDurations() {
+    const fileDurations = new Map(); // Filename -> Promise<duration>, shared by chapters
+    
     for (let i = 0; i < songs.length; i++) {
+        const song = songs[i];
+        
+        // Every file is probed, even with a duration in the manifest, so missing ones are caught
+        if (!fileDurations.has(song.filename)) {
+            fileDurations.set(song.filename, loadFileDuration(song.filename));
+        }
+        
         try {
-            const audio = new Audio(songs[i].filename);
-            await new Promise((resolve, reject) => {
-                audio.addEventListener('loadedmetadata', () => {
-                    songDurations[i] = Math.floor(audio.duration);
-                    resolve();
-                });
-                audio.addEventListener('error', reject);
-                audio.load();
-            });
+            const fileDuration = await fileDurations.get(song.filename);
+            if (song.duration) {
+                // Durations given in the manifest are trusted until the track is decoded
+                songDurations[i] = song.duration;
+            } else {
+                // Chapters of the master file know their length (clamped to the file)
+                songDurations[i] = song.end !== null
+                    ? Math.max(0, Math.min(song.end, fileDuration) - song.start)
+                    : fileDuration;
+            }
         } catch (error) {
-            console.error(`Error loading duration for ${songs[i].filename}:`, error);
-            songDurations[i] = 0;
+            console.error(`Error loading duration for ${song.filename}:`, error);
+            markSongUnavailable(i);
+        }
+    }
+}
+
+// Read the duration of an audio file from its metadata
+function loadFileDuration(filename) {
+    return new Promise((resolve, reject) => {
+        const audio = new Audio();
+        audio.preload = 'metadata';
+        audio.addEventListener('loadedmetadata', () => resolve(audio.duration), { once: true });
+        audio.addEventListener('error', () => reject(audio.error), { once: true });
+        audio.src = filename;
+    });
+}
+
+// Mark a song as unplayable: it's dropped from the timeline and skipped during playback
+function markSongUnavailable(index) {
+    if (!songs[index]) return;
+    
+    songs[index].available = false;
+    songDurations[index] = 0;
+    recalculateTimeline();
+    
+    if (backgroundAudio) {
+        backgroundAudio.markUnavailable(index);
+    }
+    
+    updateTimer();
+}
+
+// Save the album position and character layout so a reload can resume
+// force = false only writes every SESSION_SAVE_INTERVAL ms (called from the song timer)
+function saveSession(force = false) {
+    if (!hasEverStarted) return;
+    
+    const now = Date.now();
+    if (!force && now - lastSessionSave < SESSION_SAVE_INTERVAL) return;
+    lastSessionSave = now;
+    
+    const session = {
+        songIndex: currentSongIndex,
+        timeInSong: Math.max(0, elapsedTime - (cumulativeTimes[currentSongIndex] || 0)),
+        elapsedTime,
+        characters: characters
+            .filter(character => !character.isCenterCharacter && character.row !== null)
+            .map(character => ({
+                x: character.x,
+                y: character.y,
+                sheet: character.sheet.name,
+                row: character.row,
+                frameIndex: character.currentFrameIndex,
+                songIndex: character.songIndex
+            }))
+    };
+    
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    } catch (error) {
+        console.error('Error saving session:', error);
+    }
+}
+
+// Read the saved session (null if there is none or it can't be used)
+function loadSavedSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        if (!session || !songs[session.songIndex] || !Array.isArray(session.characters)) return null;
+        return session;
+    } catch (error) {
+        console.error('Error reading saved session:', error);
+        return null;
+    }
+}
+
+function clearSavedSession() {
+    try {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+        console.error('Error clearing saved session:', error);
+    }
+}
+
+// Recreate saved characters, skipping any that no longer fit on this screen
+function restoreCharacters(savedCharacters) {
+    for (let saved of savedCharacters) {
+        const sheet = spriteSheets[saved.sheet || DEFAULT_SPRITE_SHEET];
+        if (!sheet || !sheet.loaded || !sheet.framesByRow[saved.row]) continue;
+        
+        const width = sheet.spriteWidth * getSpriteScale();
+        const height = sheet.spriteHeight * getSpriteScale();
+        const offScreen = saved.x < 0 || saved.y < 0 ||
+            saved.x + width > viewWidth || saved.y + height > viewHeight;
+        if (offScreen || hasCollision(saved.x, saved.y, width, height) || hasUICollision(saved.x, saved.y, width, height)) {
+            continue;
         }
+        
+        const character = new Character(saved.x, saved.y, sheet);
+        character.setRow(saved.row, saved.frameIndex || 0);
+        character.songIndex = Number.isInteger(saved.songIndex) ? saved.songIndex : null;
+        characters.push(character);
+    }
+    invalidateCanvas();
+    syncCharacterMirror();
+}
+
+// Offer to pick up where the last visit left off
+function offerResume() {
+    // A shared link takes priority over the saved session
+    if (pendingDeepLinkTime !== null || hasEverStarted) return;
+    
+    const session = loadSavedSession();
+    const resumePrompt = document.getElementById('resumePrompt');
+    const resumeText = document.getElementById('resumeText');
+    if (!session || !resumePrompt || !resumeText) return;
+    
+    const song = songs[session.songIndex];
+    resumeText.textContent = `resume ${song.title} from ${secondsToTime(session.timeInSong)}?`;
+    resumePrompt.classList.add('visible');
+    
+    document.getElementById('resumeButton').onclick = (event) => {
+        event.stopPropagation();
+        hideResumePrompt();
+        restoreCharacters(session.characters);
+        
+        // Restore the song and position, then start playing (this click is the user gesture)
+        currentSongIndex = session.songIndex;
+        const timeInSong = Math.min(session.timeInSong, songDurations[session.songIndex]);
+        seekToSong(cumulativeTimes[session.songIndex] + timeInSong);
+    };
+    
+    document.getElementById('startOverButton').onclick = (event) => {
+        event.stopPropagation();
+        hideResumePrompt();
+        clearSavedSession();
+    };
+}
+
+function hideResumePrompt() {
+    const resumePrompt = document.getElementById('resumePrompt');
+    if (resumePrompt) {
+        resumePrompt.classList.remove('visible');
     }
 }
 
@@ -1242,25 +3774,23 @@ window.addEventListener('DOMContentLoaded', async () => {
     // Update on resize
     window.addEventListener('resize', detectMobile);
     
+    // Restore the playback mode from the last visit (the song order depends on it)
+    playbackMode = loadPlaybackMode();
+    
     // Load songs first
     await loadSongs();
     
     // Load first song (but don't play yet)
     if (songs.length > 0) {
-        loadAndPlaySong(0, 0);
+        loadAndPlaySong(Math.max(0, getSongIndexAtTime(0)), 0);
         // Don't play yet - wait for user to click play
     }
     
     // Update timer with total duration
     updateTimer();
     
-    // Set up media session for media key controls
-    if (navigator.mediaSession) {
-        navigator.mediaSession.metadata = new MediaMetadata({
-            title: 'sou segundo lugar',
-            artist: 'guilherme lopes'
-        });
-    }
+    // Show album title/artist (from album.json) and set up media session metadata
+    applyAlbumInfo();
     
     // Ensure start message is visible and clickable
     const startMessage = document.getElementById('startMessage');
@@ -1270,39 +3800,65 @@ window.addEventListener('DOMContentLoaded', async () => {
         startMessage.style.opacity = '1';
         startMessage.style.zIndex = '99999';
         startMessage.addEventListener('click', handleMessageBoxClick);
+        // Its size changes with the album title and once the web font loads
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(invalidateUIRects).observe(startMessage);
+        }
     } else {
         console.error('Start message element not found!');
     }
     
-    // Add keyboard controls for play/pause
-    document.addEventListener('keydown', (event) => {
-        // Spacebar to toggle play/pause
-        if (event.code === 'Space' || event.key === ' ') {
-            event.preventDefault(); // Prevent page scroll
-            handleMessageBoxClick();
-        }
-    });
+    // Keyboard shortcuts (Space to play/pause, ? for the full list)
+    document.addEventListener('keydown', handleKeyboardShortcut);
+    initShortcutHelp();
+    const songListContent = document.getElementById('songListContent');
+    if (songListContent) {
+        songListContent.addEventListener('keydown', handleSongListKeydown);
+    }
     
-    // Add media key controls (play/pause buttons on keyboard)
-    if (navigator.mediaSession) {
-        navigator.mediaSession.setActionHandler('play', () => {
-            if (!gameStarted) {
-                handleMessageBoxClick();
-            }
-        });
-        
-        navigator.mediaSession.setActionHandler('pause', () => {
-            if (gameStarted) {
-                handleMessageBoxClick();
-            }
+    // The song list sits inside the message box: clicks in it don't play/pause
+    const songListBox = document.getElementById('songListBox');
+    if (songListBox) {
+        songListBox.addEventListener('click', (event) => event.stopPropagation());
+    }
+    
+    // Songs button for keyboard and screen reader users (the canvas characters open the list too)
+    const songListButton = document.getElementById('songListButton');
+    if (songListButton) {
+        songListButton.addEventListener('click', (event) => {
+            event.stopPropagation(); // Don't toggle play/pause or close the list again
+            toggleSongList(true);
         });
     }
     
+    // Add media key controls (keyboard media keys, lock screen, headsets)
+    setupMediaSessionHandlers();
+    
+    // Album progress bar in the timer box
+    initScrubber();
+    
+    // Repeat/shuffle/stop-after mode button
+    initPlaybackModeButton();
+    
+    // Calm mode (prefers-reduced-motion, the calm button and the m key)
+    initReducedMotion();
+    
     // Initialize timer display (shows 0:00/xx:xx, but doesn't start counting until music starts)
     elapsedTime = 0;
     updateTimer();
     
-    loadSpriteSheet();
+    // Start from a shared link's song/time (#t=pimenta&at=2:13)
+    applyDeepLink();
+    window.addEventListener('hashchange', applyDeepLink);
+    
+    // Save the position when leaving the page
+    window.addEventListener('pagehide', () => {
+        if (gameStarted) {
+            saveSession(true);
+        }
+    });
+    
+    loadSpriteSheets();
     initInfiniteScroll();
 });
 
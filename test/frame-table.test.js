@@ -0,0 +1,91 @@
+// Behaviour tests for frame-table.js on small hand-built RGBA images (run with npm test)
+const test = require('node:test');
+const assert = require('assert');
+const { isFrameBlank, buildFrameTable } = require('../frame-table');
+
+// A width x height RGBA image filled with one color
+function makeImage(width, height, [r, g, b, a] = [0, 0, 0, 0]) {
+    const pixels = new Uint8Array(width * height * 4);
+    for (let i = 0; i < pixels.length; i += 4) {
+        pixels.set([r, g, b, a], i);
+    }
+    return pixels;
+}
+
+function setPixel(pixels, imageWidth, x, y, rgba) {
+    pixels.set(rgba, (y * imageWidth + x) * 4);
+}
+
+test('a fully transparent frame is blank', () => {
+    const pixels = makeImage(4, 4);
+    assert.strictEqual(isFrameBlank(pixels, 4, 0, 0, 4, 4), true);
+});
+
+test('transparent pixels with different RGB values are still blank', () => {
+    const pixels = makeImage(4, 4, [255, 0, 0, 0]);
+    setPixel(pixels, 4, 1, 1, [0, 255, 0, 0]);
+    setPixel(pixels, 4, 3, 2, [12, 34, 56, 0]);
+    assert.strictEqual(isFrameBlank(pixels, 4, 0, 0, 4, 4), true);
+});
+
+test('a solid-color opaque frame has content', () => {
+    const pixels = makeImage(4, 4, [200, 100, 50, 255]);
+    assert.strictEqual(isFrameBlank(pixels, 4, 0, 0, 4, 4), false);
+});
+
+test('a partly transparent frame has content', () => {
+    const pixels = makeImage(4, 4);
+    setPixel(pixels, 4, 1, 2, [0, 0, 0, 1]);
+    assert.strictEqual(isFrameBlank(pixels, 4, 0, 0, 4, 4), false);
+});
+
+test('a frame with some drawn pixels has content', () => {
+    const pixels = makeImage(4, 4);
+    setPixel(pixels, 4, 2, 3, [0, 0, 0, 255]);
+    assert.strictEqual(isFrameBlank(pixels, 4, 0, 0, 4, 4), false);
+});
+
+test('only the given frame of the image is checked', () => {
+    const pixels = makeImage(8, 4);
+    setPixel(pixels, 8, 6, 1, [0, 0, 0, 255]);
+    assert.strictEqual(isFrameBlank(pixels, 8, 0, 0, 4, 4), true);
+    assert.strictEqual(isFrameBlank(pixels, 8, 4, 0, 4, 4), false);
+});
+
+test('buildFrameTable counts frames left to right, top to bottom, skipping blank cells', () => {
+    // 3 x 2 grid of 2 x 2 sprites; content in cells (0, 0), (0, 2) and (1, 1)
+    const spriteSize = 2;
+    const width = 3 * spriteSize;
+    const height = 2 * spriteSize;
+    const pixels = makeImage(width, height);
+    setPixel(pixels, width, 0, 0, [255, 255, 255, 255]);
+    setPixel(pixels, width, 5, 1, [255, 255, 255, 255]);
+    setPixel(pixels, width, 3, 2, [255, 255, 255, 255]);
+
+    const table = buildFrameTable(pixels, width, height, spriteSize, spriteSize);
+
+    assert.strictEqual(table.maxFramesPerRow, 3);
+    assert.deepStrictEqual(table.framesByRow, { 0: [0, 2], 1: [4] });
+    assert.deepStrictEqual(table.frameToRowCol, {
+        0: { row: 0, col: 0 },
+        2: { row: 0, col: 2 },
+        4: { row: 1, col: 1 }
+    });
+    assert.deepStrictEqual(
+        [table.imageWidth, table.imageHeight, table.spriteWidth, table.spriteHeight],
+        [width, height, spriteSize, spriteSize]
+    );
+});
+
+test('buildFrameTable leaves out rows without content and partial cells at the edges', () => {
+    // 5 x 5 image of 2 x 2 sprites: a 2 x 2 grid, the last pixel column and row are ignored
+    const pixels = makeImage(5, 5);
+    setPixel(pixels, 5, 4, 4, [255, 255, 255, 255]); // Outside every cell
+    setPixel(pixels, 5, 3, 3, [255, 255, 255, 255]); // Cell (1, 1)
+
+    const table = buildFrameTable(pixels, 5, 5, 2, 2);
+
+    assert.strictEqual(table.maxFramesPerRow, 2);
+    assert.deepStrictEqual(table.framesByRow, { 1: [3] });
+    assert.deepStrictEqual(Object.keys(table.frameToRowCol), ['3']);
+});
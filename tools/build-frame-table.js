@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Precompute the spritesheet's frame table so the page doesn't scan pixels on load
+//
+// Usage: node tools/build-frame-table.js [spritesheet.png] [output.json] [spriteWidth] [spriteHeight]
+// Defaults: character-spritesheet.png -> character-spritesheet.frames.json, 64 x 64
+// (the sprite size must match the sheet's width/height in SPRITE_SHEETS in script.js)
+const fs = require('fs');
+const path = require('path');
+const { decodePng } = require('./decode-png');
+const { buildFrameTable } = require('../frame-table');
+
+const root = path.join(__dirname, '..');
+const input = process.argv[2] || path.join(root, 'character-spritesheet.png');
+const output = process.argv[3] || input.replace(/\.png$/i, '') + '.frames.json';
+const spriteWidth = parseInt(process.argv[4] || '64', 10);
+const spriteHeight = parseInt(process.argv[5] || '64', 10);
+
+try {
+    const { width, height, pixels } = decodePng(fs.readFileSync(input));
+    const table = buildFrameTable(pixels, width, height, spriteWidth, spriteHeight);
+    fs.writeFileSync(output, JSON.stringify(table) + '\n');
+
+    const frameCount = Object.keys(table.frameToRowCol).length;
+    const rowCount = Object.keys(table.framesByRow).length;
+    console.log(`${path.basename(input)}: ${frameCount} frames in ${rowCount} rows -> ${path.relative(process.cwd(), output)}`);
+} catch (error) {
+    console.error(`Error building frame table for ${input}:`, error.message);
+    process.exit(1);
+}
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Check that a committed frame table still matches its spritesheet (run with npm test)
+//
+// Usage: node tools/check-frame-table.js [spritesheet.png] [table.json] [spriteWidth] [spriteHeight]
+// Same arguments and defaults as tools/build-frame-table.js
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { decodePng } = require('./decode-png');
+const { buildFrameTable } = require('../frame-table');
+
+const root = path.join(__dirname, '..');
+const input = process.argv[2] || path.join(root, 'character-spritesheet.png');
+const tablePath = process.argv[3] || input.replace(/\.png$/i, '') + '.frames.json';
+const spriteWidth = parseInt(process.argv[4] || '64', 10);
+const spriteHeight = parseInt(process.argv[5] || '64', 10);
+
+try {
+    const { width, height, pixels } = decodePng(fs.readFileSync(input));
+    const expected = buildFrameTable(pixels, width, height, spriteWidth, spriteHeight);
+    const committed = JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+    assert.deepStrictEqual(committed, JSON.parse(JSON.stringify(expected)));
+
+    const frameCount = Object.keys(expected.frameToRowCol).length;
+    console.log(`${path.basename(tablePath)} matches ${path.basename(input)} (${frameCount} frames)`);
+} catch (error) {
+    if (error instanceof assert.AssertionError) {
+        console.error(`${path.relative(process.cwd(), tablePath)} is out of date, rebuild it with node tools/build-frame-table.js`);
+        console.error(error.message);
+    } else {
+        console.error(`Error checking frame table for ${input}:`, error.message);
+    }
+    process.exit(1);
+}
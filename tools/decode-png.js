@@ -0,0 +1,148 @@
+// Minimal PNG decoder (Node only, no dependencies)
+// Supports non-interlaced 8-bit grayscale, RGB, palette, grayscale+alpha and RGBA images.
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel for each color type at 8 bits per channel
+const CHANNELS = {
+    0: 1, // Grayscale
+    2: 3, // RGB
+    3: 1, // Palette index
+    4: 2, // Grayscale + alpha
+    6: 4  // RGBA
+};
+
+// Decode a PNG file buffer into { width, height, pixels } with pixels as RGBA bytes
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const dataChunks = [];
+
+    // Read chunks: length, type, data, CRC
+    let offset = 8;
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            dataChunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) {
+        throw new Error('PNG has no IHDR chunk');
+    }
+    const { width, height, bitDepth, colorType, interlace } = header;
+    if (bitDepth !== 8 || !(colorType in CHANNELS) || interlace !== 0) {
+        throw new Error(`Unsupported PNG (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`);
+    }
+
+    const bytesPerPixel = CHANNELS[colorType];
+    const stride = width * bytesPerPixel;
+    const raw = zlib.inflateSync(Buffer.concat(dataChunks));
+    const scanlines = unfilter(raw, width, height, bytesPerPixel);
+
+    // Expand every pixel to RGBA
+    const pixels = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const source = y * stride + x * bytesPerPixel;
+            const target = (y * width + x) * 4;
+
+            if (colorType === 6) {
+                pixels[target] = scanlines[source];
+                pixels[target + 1] = scanlines[source + 1];
+                pixels[target + 2] = scanlines[source + 2];
+                pixels[target + 3] = scanlines[source + 3];
+            } else if (colorType === 2) {
+                pixels[target] = scanlines[source];
+                pixels[target + 1] = scanlines[source + 1];
+                pixels[target + 2] = scanlines[source + 2];
+                pixels[target + 3] = 255;
+            } else if (colorType === 3) {
+                const index = scanlines[source];
+                pixels[target] = palette[index * 3];
+                pixels[target + 1] = palette[index * 3 + 1];
+                pixels[target + 2] = palette[index * 3 + 2];
+                pixels[target + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            } else {
+                const gray = scanlines[source];
+                pixels[target] = gray;
+                pixels[target + 1] = gray;
+                pixels[target + 2] = gray;
+                pixels[target + 3] = colorType === 4 ? scanlines[source + 1] : 255;
+            }
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+// Undo PNG scanline filters (each scanline starts with its filter type byte)
+function unfilter(raw, width, height, bytesPerPixel) {
+    const stride = width * bytesPerPixel;
+    const output = new Uint8Array(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const lineStart = y * (stride + 1) + 1;
+        const outStart = y * stride;
+
+        for (let x = 0; x < stride; x++) {
+            const value = raw[lineStart + x];
+            const left = x >= bytesPerPixel ? output[outStart + x - bytesPerPixel] : 0;
+            const up = y > 0 ? output[outStart - stride + x] : 0;
+            const upLeft = y > 0 && x >= bytesPerPixel ? output[outStart - stride + x - bytesPerPixel] : 0;
+
+            let predicted = 0;
+            if (filter === 1) {
+                predicted = left;
+            } else if (filter === 2) {
+                predicted = up;
+            } else if (filter === 3) {
+                predicted = (left + up) >> 1;
+            } else if (filter === 4) {
+                predicted = paeth(left, up, upLeft);
+            } else if (filter !== 0) {
+                throw new Error(`Unknown PNG filter type ${filter} on line ${y}`);
+            }
+            output[outStart + x] = (value + predicted) & 0xff;
+        }
+    }
+
+    return output;
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    if (distanceUp <= distanceUpLeft) return up;
+    return upLeft;
+}
+
+module.exports = { decodePng };